@@ -151,6 +151,39 @@ function isWebhookQueueMissingError(error) {
   return error?.code === 'PGRST205' && /webhook_delivery_queue/i.test(error?.message || '');
 }
 
+class MissingOutboundQueueTableError extends Error {
+  constructor(message) {
+    super(message || 'outbound_message_queue table not found');
+    this.name = 'MissingOutboundQueueTableError';
+  }
+}
+
+function isOutboundQueueMissingError(error) {
+  return error?.code === 'PGRST205' && /outbound_message_queue/i.test(error?.message || '');
+}
+
+class MissingIdempotencyTableError extends Error {
+  constructor(message) {
+    super(message || 'idempotency_keys table not found');
+    this.name = 'MissingIdempotencyTableError';
+  }
+}
+
+function isIdempotencyTableMissingError(error) {
+  return error?.code === 'PGRST205' && /idempotency_keys/i.test(error?.message || '');
+}
+
+class MissingMediaTableError extends Error {
+  constructor(message) {
+    super(message || 'media_files table not found');
+    this.name = 'MissingMediaTableError';
+  }
+}
+
+function isMediaTableMissingError(error) {
+  return error?.code === 'PGRST205' && /media_files/i.test(error?.message || '');
+}
+
 // Generate a random API key
 function generateApiKey() {
   const crypto = require('crypto');
@@ -558,11 +591,220 @@ const db = {
     }
   },
 
-  // Message logging removed - messages are forwarded to n8n via webhooks
-  // Stub methods for backwards compatibility
+  // ============================================================================
+  // Message History (message_logs)
+  // ============================================================================
+
+  // Incoming/outgoing message row - DISABLE_MESSAGE_LOGGING=true turns history off
   async logMessage(messageData) {
-    // No-op: messages are sent to webhooks only
-    return messageData;
+    if (process.env.DISABLE_MESSAGE_LOGGING === 'true') {
+      return null;
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('message_logs')
+        .insert({
+          account_id: messageData.account_id,
+          direction: messageData.direction,
+          message_id: messageData.message_id,
+          sender: messageData.sender,
+          recipient: messageData.recipient,
+          message: messageData.message || null,
+          timestamp: messageData.timestamp ? Number(messageData.timestamp) : null,
+          type: messageData.type,
+          chat_id: messageData.chat_id,
+          is_group: !!messageData.is_group,
+          group_name: messageData.group_name || null,
+          media: messageData.media || null,
+          status: messageData.status || 'success',
+          metadata: messageData.metadata || {},
+          created_at: messageData.created_at || new Date().toISOString()
+        })
+        .select('id')
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error(`Error logging message ${messageData.message_id}:`, error);
+      throw error;
+    }
+  },
+
+  async updateMessageLog(accountId, messageId, updates) {
+    try {
+      const { error } = await supabase
+        .from('message_logs')
+        .update(updates)
+        .eq('account_id', accountId)
+        .eq('message_id', messageId)
+        .in('direction', ['incoming', 'outgoing']);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error(`Error updating message log ${messageId}:`, error);
+      throw error;
+    }
+  },
+
+  // Conversations with their last message and unread count, most recent first
+  async getChats(accountId, limit = 50, offset = 0) {
+    try {
+      const { data, error } = await supabase.rpc('get_account_chats', {
+        account_uuid: accountId,
+        max_chats: limit,
+        skip_chats: offset
+      });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error(`Error fetching chats for ${accountId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Messages of one chat, newest first, keyset-paginated on (created_at, id)
+   * @param {object} cursor - { createdAt, id } of the last message of the previous page
+   */
+  async getChatMessages(accountId, chatId, limit = 50, cursor = null) {
+    try {
+      let query = supabase
+        .from('message_logs')
+        .select('id, direction, message_id, sender, recipient, message, timestamp, type, chat_id, is_group, group_name, media, status, metadata, read_at, created_at')
+        .eq('account_id', accountId)
+        .eq('chat_id', chatId)
+        .in('direction', ['incoming', 'outgoing'])
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      if (cursor) {
+        query = query.or(`created_at.lt.${cursor.createdAt},and(created_at.eq.${cursor.createdAt},id.lt.${cursor.id})`);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error(`Error fetching messages of chat ${chatId}:`, error);
+      throw error;
+    }
+  },
+
+  // Recent messages across all accounts (dashboard Messages view)
+  async getRecentMessages(limit = 50) {
+    try {
+      const { data, error } = await supabase
+        .from('message_logs')
+        .select('id, account_id, direction, message_id, sender, recipient, message, type, chat_id, is_group, group_name, status, created_at')
+        .in('direction', ['incoming', 'outgoing'])
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching recent messages:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Last messages of a chat in chronological order, for chatbot context
+   * @param {string} excludeMessageId - The message being answered (already logged)
+   */
+  async getConversationHistory(accountId, chatId, limit = 10, excludeMessageId = null) {
+    try {
+      let query = supabase
+        .from('message_logs')
+        .select('direction, message, created_at')
+        .eq('account_id', accountId)
+        .eq('chat_id', chatId)
+        .in('direction', ['incoming', 'outgoing'])
+        .not('message', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (excludeMessageId) {
+        query = query.neq('message_id', excludeMessageId);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return (data || []).reverse();
+    } catch (error) {
+      logger.error(`Error fetching conversation history for ${chatId}:`, error);
+      throw error;
+    }
+  },
+
+  // Incoming messages of a chat nobody has read yet, newest first
+  async getUnreadMessages(accountId, chatId, limit = 500) {
+    try {
+      const { data, error } = await supabase
+        .from('message_logs')
+        .select('message_id, sender, chat_id, is_group, timestamp')
+        .eq('account_id', accountId)
+        .eq('chat_id', chatId)
+        .eq('direction', 'incoming')
+        .is('read_at', null)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error(`Error fetching unread messages of chat ${chatId}:`, error);
+      throw error;
+    }
+  },
+
+  async getMessageLogsByIds(accountId, messageIds) {
+    try {
+      const { data, error } = await supabase
+        .from('message_logs')
+        .select('message_id, direction, sender, chat_id, is_group, timestamp, read_at')
+        .eq('account_id', accountId)
+        .in('message_id', messageIds)
+        .in('direction', ['incoming', 'outgoing']);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error(`Error fetching message logs for ${accountId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Set read_at on incoming messages of a chat
+   * @param {string[]|null} messageIds - Only these messages; null = the whole chat
+   */
+  async markMessagesRead(accountId, chatId, messageIds = null) {
+    try {
+      let query = supabase
+        .from('message_logs')
+        .update({ read_at: new Date().toISOString() })
+        .eq('account_id', accountId)
+        .eq('chat_id', chatId)
+        .eq('direction', 'incoming')
+        .is('read_at', null);
+
+      if (messageIds) {
+        query = query.in('message_id', messageIds);
+      }
+
+      const { error } = await query;
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error(`Error marking messages of chat ${chatId} read:`, error);
+      throw error;
+    }
   },
 
   // Get queue status (stub - no queue anymore)
@@ -984,129 +1226,893 @@ const db = {
     return stats;
   },
 
-  // Get all accounts stats in a single query (avoids N+1 problem)
-  async getAllAccountsStats() {
-    const cacheKey = 'all_accounts_stats';
-    const cached = cacheManager.get(cacheKey);
-
-    if (cached) {
-      return cached;
-    }
+  // ============================================================================
+  // Outbound Message Queue (durable sends)
+  // ============================================================================
 
+  async enqueueOutboundMessage({ accountId, type, recipient, payload, maxRetries, sendAt = null, timezone = null }) {
     try {
-      // Try to use the optimized PostgreSQL function
-      const { data, error } = await supabase.rpc('get_all_accounts_stats');
+      const record = {
+        account_id: accountId,
+        message_type: type,
+        recipient,
+        payload,
+        max_retries: maxRetries,
+        status: 'queued',
+        send_at: sendAt,
+        timezone,
+        // Scheduled messages simply become due at send_at
+        next_attempt_at: sendAt || new Date().toISOString()
+      };
+
+      const { data, error } = await supabase
+        .from('outbound_message_queue')
+        .insert([record])
+        .select('id, account_id, message_type, recipient, status, attempt_count, last_error, wa_message_id, send_at, timezone, next_attempt_at, sent_at, created_at, updated_at');
 
       if (error) {
-        // Fallback: the function might not exist yet
-        logger.warn('get_all_accounts_stats function not available, using fallback');
-        return null;
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
       }
 
-      // Convert to a map for easy lookup
-      const statsMap = {};
-      data.forEach(row => {
-        statsMap[row.account_id] = {
-          total: parseInt(row.total) || 0,
-          incoming: parseInt(row.incoming) || 0,
-          outgoing: parseInt(row.outgoing) || 0,
-          success: parseInt(row.success) || 0,
-          failed: parseInt(row.failed) || 0,
-          outgoing_success: parseInt(row.outgoing_success) || 0
-        };
-      });
-
-      cacheManager.set(cacheKey, statsMap, 60000); // Cache for 1 minute
-      return statsMap;
+      return data?.[0] || null;
     } catch (error) {
-      logger.error('Error fetching all accounts stats:', error);
-      return null;
+      logger.error('Error enqueuing outbound message:', error);
+      throw error;
     }
   },
 
-  // ============================================================================
-  // ACCOUNT NUMBER SETTINGS (with caching for speed)
-  // ============================================================================
-
-  // Get number settings - uses cache for fast lookups
-  async getNumberSettings(accountId, phoneNumber) {
+  async getOutboundMessage(jobId) {
     try {
-      // Normalize phone number (remove non-digits)
-      const normalizedPhone = phoneNumber.replace(/\D/g, '');
-      const cacheKey = `number_settings:${accountId}:${normalizedPhone}`;
-
-      // Check cache first
-      const cached = cacheManager.get(cacheKey);
-      if (cached !== null) {
-        return cached;
-      }
-
-      // Query database
+      // Payload is left out on purpose - it can hold several MB of base64 media
       const { data, error } = await supabase
-        .from('account_number_settings')
-        .select('*')
-        .eq('account_id', accountId)
-        .eq('phone_number', normalizedPhone)
+        .from('outbound_message_queue')
+        .select('id, account_id, message_type, recipient, status, attempt_count, max_retries, last_error, wa_message_id, result, send_at, timezone, next_attempt_at, sent_at, created_at, updated_at')
+        .eq('id', jobId)
         .single();
 
-      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+      if (error) {
+        if (error.code === 'PGRST116') return null; // No rows found
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
         throw error;
       }
 
-      // Default settings if not found (all enabled)
-      const settings = data || {
-        webhook_enabled: true,
-        chatbot_enabled: true,
-        flow_enabled: true
-      };
-
-      // Cache for 5 minutes
-      cacheManager.set(cacheKey, settings, 300000);
-
-      return settings;
+      return data;
     } catch (error) {
-      logger.error('Error getting number settings:', error);
-      // Return defaults on error (don't block processing)
-      return { webhook_enabled: true, chatbot_enabled: true, flow_enabled: true };
+      logger.error(`Error fetching outbound message ${jobId}:`, error);
+      throw error;
     }
   },
 
-  // Get all number settings for an account
-  async getAllNumberSettings(accountId) {
+  async getDueOutboundMessages(limit = 20, excludeAccountIds = []) {
     try {
-      const { data, error } = await supabase
-        .from('account_number_settings')
+      let query = supabase
+        .from('outbound_message_queue')
         .select('*')
-        .eq('account_id', accountId)
-        .order('created_at', { ascending: false });
+        .eq('status', 'queued')
+        .lte('next_attempt_at', new Date().toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
 
-      if (error) throw error;
+      // Skip accounts whose worker is busy so they don't starve the others
+      if (excludeAccountIds.length > 0) {
+        query = query.not('account_id', 'in', `(${excludeAccountIds.join(',')})`);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
       return data || [];
     } catch (error) {
-      logger.error('Error getting all number settings:', error);
+      if (error instanceof MissingOutboundQueueTableError) {
+        throw error;
+      }
+      logger.error('Error fetching due outbound messages:', error);
       return [];
     }
   },
 
-  // Add or update number settings
-  async upsertNumberSettings(accountId, phoneNumber, settings) {
+  async markOutboundMessageSending(job) {
     try {
-      const normalizedPhone = phoneNumber.replace(/\D/g, '');
-
       const { data, error } = await supabase
-        .from('account_number_settings')
-        .upsert({
-          account_id: accountId,
-          phone_number: normalizedPhone,
-          webhook_enabled: settings.webhook_enabled !== false,
-          chatbot_enabled: settings.chatbot_enabled !== false,
-          flow_enabled: settings.flow_enabled !== false,
-          notes: settings.notes || null,
+        .from('outbound_message_queue')
+        .update({
+          status: 'sending',
+          attempt_count: job.attempt_count + 1,
           updated_at: new Date().toISOString()
-        }, {
-          onConflict: 'account_id,phone_number'
         })
-        .select()
+        .eq('id', job.id)
+        .eq('status', 'queued')
+        .select();
+
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error(`Error marking outbound message ${job.id} sending:`, error);
+      return null;
+    }
+  },
+
+  async completeOutboundMessage(jobId, result) {
+    try {
+      const { error } = await supabase
+        .from('outbound_message_queue')
+        .update({
+          status: 'sent',
+          wa_message_id: result?.messageId || null,
+          result,
+          last_error: null,
+          sent_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', jobId);
+
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
+      return true;
+    } catch (error) {
+      logger.error(`Error completing outbound message ${jobId}:`, error);
+      return false;
+    }
+  },
+
+  async failOutboundMessage(job, errorMessage, nextAttemptAt, isFinal = false) {
+    try {
+      // Retryable failures go back to 'queued' so the worker picks them up again
+      const { error } = await supabase
+        .from('outbound_message_queue')
+        .update({
+          status: isFinal ? 'failed' : 'queued',
+          last_error: errorMessage,
+          next_attempt_at: nextAttemptAt,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', job.id);
+
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
+      return true;
+    } catch (error) {
+      logger.error(`Error failing outbound message ${job.id}:`, error);
+      return false;
+    }
+  },
+
+  async getScheduledOutboundMessages(accountId, status = 'queued', limit = 100) {
+    try {
+      // Text previews come straight out of the payload so media data isn't transferred
+      const { data, error } = await supabase
+        .from('outbound_message_queue')
+        .select('id, account_id, message_type, recipient, status, attempt_count, last_error, wa_message_id, send_at, timezone, next_attempt_at, sent_at, created_at, updated_at, text:payload->>message, caption:payload->>caption, body:payload->>body')
+        .eq('account_id', accountId)
+        .eq('status', status)
+        .not('send_at', 'is', null)
+        .order('send_at', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
+      return data || [];
+    } catch (error) {
+      logger.error(`Error fetching scheduled messages for ${accountId}:`, error);
+      throw error;
+    }
+  },
+
+  async cancelOutboundMessage(accountId, jobId) {
+    try {
+      // Only still-queued jobs can be cancelled - 'sending' is already in flight
+      const { data, error } = await supabase
+        .from('outbound_message_queue')
+        .update({
+          status: 'cancelled',
+          next_attempt_at: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', jobId)
+        .eq('account_id', accountId)
+        .eq('status', 'queued')
+        .select('id, account_id, message_type, recipient, status, attempt_count, last_error, wa_message_id, send_at, timezone, next_attempt_at, sent_at, created_at, updated_at');
+
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error(`Error cancelling outbound message ${jobId}:`, error);
+      throw error;
+    }
+  },
+
+  async resetStuckOutboundMessages(minutes = 10) {
+    try {
+      const cutoff = new Date(Date.now() - minutes * 60000).toISOString();
+      const { error } = await supabase
+        .from('outbound_message_queue')
+        .update({
+          status: 'queued',
+          next_attempt_at: new Date().toISOString(),
+          last_error: 'Recovered from unexpected shutdown'
+        })
+        .eq('status', 'sending')
+        .lte('updated_at', cutoff);
+
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Error resetting stuck outbound messages:', error);
+      throw error;
+    }
+  },
+
+  // ============================================================================
+  // Idempotency Keys (safe client retries)
+  // ============================================================================
+
+  // Insert a 'processing' row for the key. Returns { reserved: true } or the existing row
+  async reserveIdempotencyKey({ accountId, key, endpoint, requestHash, expiresAt }) {
+    try {
+      const { error } = await supabase
+        .from('idempotency_keys')
+        .insert([{
+          account_id: accountId,
+          idempotency_key: key,
+          endpoint,
+          request_hash: requestHash,
+          status: 'processing',
+          processing_started_at: new Date().toISOString(),
+          expires_at: expiresAt
+        }]);
+
+      if (!error) {
+        return { reserved: true };
+      }
+
+      if (isIdempotencyTableMissingError(error)) {
+        throw new MissingIdempotencyTableError();
+      }
+      if (error.code !== '23505') {
+        throw error;
+      }
+
+      // Unique violation - key already used, hand back what we stored
+      const { data: existing, error: fetchError } = await supabase
+        .from('idempotency_keys')
+        .select('id, endpoint, request_hash, status, response_status, response_body, processing_started_at, expires_at')
+        .eq('account_id', accountId)
+        .eq('idempotency_key', key)
+        .single();
+
+      if (fetchError) throw fetchError;
+      return { reserved: false, existing };
+    } catch (error) {
+      logger.error(`Error reserving idempotency key for ${accountId}:`, error);
+      throw error;
+    }
+  },
+
+  async completeIdempotencyKey(accountId, key, responseStatus, responseBody) {
+    try {
+      const { error } = await supabase
+        .from('idempotency_keys')
+        .update({
+          status: 'completed',
+          response_status: responseStatus,
+          response_body: responseBody,
+          updated_at: new Date().toISOString()
+        })
+        .eq('account_id', accountId)
+        .eq('idempotency_key', key);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error(`Error storing idempotent response for ${accountId}:`, error);
+      throw error;
+    }
+  },
+
+  // Claim a 'processing' key whose request started before staleBefore (the process handling it
+  // likely died). Conditional update, so only one of several concurrent retries wins.
+  async takeOverIdempotencyKey(accountId, key, staleBefore) {
+    try {
+      const { data, error } = await supabase
+        .from('idempotency_keys')
+        .update({
+          processing_started_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('account_id', accountId)
+        .eq('idempotency_key', key)
+        .eq('status', 'processing')
+        .lt('processing_started_at', staleBefore)
+        .select('id');
+
+      if (error) throw error;
+      return (data?.length || 0) > 0;
+    } catch (error) {
+      logger.error(`Error taking over idempotency key for ${accountId}:`, error);
+      throw error;
+    }
+  },
+
+  // Failed requests free the key so the client can retry with it
+  async releaseIdempotencyKey(accountId, key) {
+    try {
+      const { error } = await supabase
+        .from('idempotency_keys')
+        .delete()
+        .eq('account_id', accountId)
+        .eq('idempotency_key', key);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error(`Error releasing idempotency key for ${accountId}:`, error);
+      throw error;
+    }
+  },
+
+  async deleteExpiredIdempotencyKeys() {
+    try {
+      const { data, error } = await supabase
+        .from('idempotency_keys')
+        .delete()
+        .lt('expires_at', new Date().toISOString())
+        .select('id');
+
+      if (error) {
+        if (isIdempotencyTableMissingError(error)) {
+          throw new MissingIdempotencyTableError();
+        }
+        throw error;
+      }
+      return data?.length || 0;
+    } catch (error) {
+      logger.error('Error deleting expired idempotency keys:', error);
+      throw error;
+    }
+  },
+
+  // ============================================================================
+  // Message Templates
+  // ============================================================================
+
+  async getTemplates(accountId) {
+    try {
+      const { data, error } = await supabase
+        .from('message_templates')
+        .select('*')
+        .eq('account_id', accountId)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error(`Error fetching templates for ${accountId}:`, error);
+      throw error;
+    }
+  },
+
+  // Lookup by ID or by name
+  async getTemplate(accountId, idOrName) {
+    try {
+      const isId = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(idOrName);
+      const { data, error } = await supabase
+        .from('message_templates')
+        .select('*')
+        .eq('account_id', accountId)
+        .eq(isId ? 'id' : 'name', idOrName)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error(`Error fetching template ${idOrName}:`, error);
+      throw error;
+    }
+  },
+
+  async createTemplate(templateData) {
+    try {
+      const { data, error } = await supabase
+        .from('message_templates')
+        .insert(templateData)
+        .select()
+        .single();
+
+      if (error) throw error;
+      logger.info(`Template created: ${data.name} for account ${data.account_id}`);
+      return data;
+    } catch (error) {
+      logger.error('Error creating template:', error);
+      throw error;
+    }
+  },
+
+  async updateTemplate(accountId, id, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('message_templates')
+        .update(updates)
+        .eq('account_id', accountId)
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error(`Error updating template ${id}:`, error);
+      throw error;
+    }
+  },
+
+  async deleteTemplate(accountId, id) {
+    try {
+      const { data, error } = await supabase
+        .from('message_templates')
+        .delete()
+        .eq('account_id', accountId)
+        .eq('id', id)
+        .select('id');
+
+      if (error) throw error;
+      return (data?.length || 0) > 0;
+    } catch (error) {
+      logger.error(`Error deleting template ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // ============================================================================
+  // Poll Votes
+  // ============================================================================
+
+  // WhatsApp sends the voter's full current selection, so the latest vote replaces the previous
+  async upsertPollVote({ accountId, pollMessageId, chatId, voter, selectedOptions }) {
+    try {
+      const { error } = await supabase
+        .from('poll_votes')
+        .upsert({
+          account_id: accountId,
+          poll_message_id: pollMessageId,
+          chat_id: chatId,
+          voter,
+          selected_options: selectedOptions,
+          updated_at: new Date().toISOString()
+        }, {
+          onConflict: 'account_id,poll_message_id,voter'
+        });
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error(`Error storing poll vote for ${pollMessageId}:`, error);
+      throw error;
+    }
+  },
+
+  async getPollVotes(accountId, pollMessageId) {
+    try {
+      const { data, error } = await supabase
+        .from('poll_votes')
+        .select('voter, selected_options, updated_at')
+        .eq('account_id', accountId)
+        .eq('poll_message_id', pollMessageId)
+        .order('updated_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error(`Error fetching poll votes for ${pollMessageId}:`, error);
+      throw error;
+    }
+  },
+
+  // ============================================================================
+  // Message Statuses
+  // ============================================================================
+
+  // Rows: { accountId, messageId, chatId, recipient, status, statusAt } - repeats keep the first time
+  async recordMessageStatuses(rows) {
+    try {
+      const { error } = await supabase
+        .from('message_statuses')
+        .upsert(rows.map(row => ({
+          account_id: row.accountId,
+          message_id: row.messageId,
+          chat_id: row.chatId,
+          recipient: row.recipient,
+          status: row.status,
+          status_at: row.statusAt
+        })), {
+          onConflict: 'account_id,message_id,recipient,status',
+          ignoreDuplicates: true
+        });
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error('Error recording message statuses:', error);
+      throw error;
+    }
+  },
+
+  async getMessageStatuses(accountId, messageId) {
+    try {
+      const { data, error } = await supabase
+        .from('message_statuses')
+        .select('chat_id, recipient, status, status_at')
+        .eq('account_id', accountId)
+        .eq('message_id', messageId)
+        .order('status_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error(`Error fetching statuses for ${messageId}:`, error);
+      throw error;
+    }
+  },
+
+  // ============================================================================
+  // Suppression List
+  // ============================================================================
+
+  async getSuppressions(accountId) {
+    try {
+      const { data, error } = await supabase
+        .from('suppression_list')
+        .select('phone, source, keyword, reason, created_at')
+        .eq('account_id', accountId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error(`Error fetching suppression list for ${accountId}:`, error);
+      throw error;
+    }
+  },
+
+  async getSuppression(accountId, phone) {
+    try {
+      const { data, error } = await supabase
+        .from('suppression_list')
+        .select('phone, source, keyword, reason, created_at')
+        .eq('account_id', accountId)
+        .eq('phone', phone)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error(`Error checking suppression of ${phone}:`, error);
+      throw error;
+    }
+  },
+
+  // Suppress a number (no-op if already suppressed) and audit it
+  async addSuppression(accountId, { phone, source, keyword = null, reason = null }) {
+    try {
+      const { data, error } = await supabase
+        .from('suppression_list')
+        .upsert({ account_id: accountId, phone, source, keyword, reason }, {
+          onConflict: 'account_id,phone',
+          ignoreDuplicates: true
+        })
+        .select('phone, source, keyword, reason, created_at');
+
+      if (error) throw error;
+      if (!data?.length) return null; // already suppressed
+
+      await this.addSuppressionAudit(accountId, { phone, action: 'suppressed', source, keyword, reason });
+      return data[0];
+    } catch (error) {
+      logger.error(`Error suppressing ${phone}:`, error);
+      throw error;
+    }
+  },
+
+  // Lift a suppression and audit it - false if the number wasn't suppressed
+  async removeSuppression(accountId, { phone, source, keyword = null, reason = null }) {
+    try {
+      const { data, error } = await supabase
+        .from('suppression_list')
+        .delete()
+        .eq('account_id', accountId)
+        .eq('phone', phone)
+        .select('id');
+
+      if (error) throw error;
+      if (!data?.length) return false;
+
+      await this.addSuppressionAudit(accountId, { phone, action: 'resubscribed', source, keyword, reason });
+      return true;
+    } catch (error) {
+      logger.error(`Error removing suppression of ${phone}:`, error);
+      throw error;
+    }
+  },
+
+  async addSuppressionAudit(accountId, { phone, action, source, keyword, reason }) {
+    const { error } = await supabase
+      .from('suppression_audit')
+      .insert({ account_id: accountId, phone, action, source, keyword, reason });
+
+    if (error) throw error;
+  },
+
+  async getSuppressionAudit(accountId, phone = null, limit = 100) {
+    try {
+      let query = supabase
+        .from('suppression_audit')
+        .select('phone, action, source, keyword, reason, created_at')
+        .eq('account_id', accountId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (phone) {
+        query = query.eq('phone', phone);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error(`Error fetching suppression audit for ${accountId}:`, error);
+      throw error;
+    }
+  },
+
+  // ============================================================================
+  // Media Files
+  // ============================================================================
+
+  async createMediaFile({ accountId, messageId, storageBackend, storageKey, mimetype, filename, size, sha256, expiresAt }) {
+    try {
+      const { data, error } = await supabase
+        .from('media_files')
+        .insert({
+          account_id: accountId,
+          message_id: messageId,
+          storage_backend: storageBackend,
+          storage_key: storageKey,
+          mimetype,
+          filename,
+          size,
+          sha256,
+          expires_at: expiresAt
+        })
+        .select()
+        .single();
+
+      if (error) {
+        if (isMediaTableMissingError(error)) {
+          throw new MissingMediaTableError();
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      logger.error(`Error storing media record for ${messageId}:`, error);
+      throw error;
+    }
+  },
+
+  async getMediaFile(id) {
+    try {
+      const { data, error } = await supabase
+        .from('media_files')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) {
+        if (isMediaTableMissingError(error)) {
+          throw new MissingMediaTableError();
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      logger.error(`Error fetching media ${id}:`, error);
+      throw error;
+    }
+  },
+
+  async getExpiredMediaFiles(limit = 100) {
+    try {
+      const { data, error } = await supabase
+        .from('media_files')
+        .select('id, storage_backend, storage_key')
+        .lt('expires_at', new Date().toISOString())
+        .order('expires_at', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        if (isMediaTableMissingError(error)) {
+          throw new MissingMediaTableError();
+        }
+        throw error;
+      }
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching expired media files:', error);
+      throw error;
+    }
+  },
+
+  async deleteMediaFiles(ids) {
+    try {
+      const { error } = await supabase
+        .from('media_files')
+        .delete()
+        .in('id', ids);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error('Error deleting media records:', error);
+      throw error;
+    }
+  },
+
+  // Get all accounts stats in a single query (avoids N+1 problem)
+  async getAllAccountsStats() {
+    const cacheKey = 'all_accounts_stats';
+    const cached = cacheManager.get(cacheKey);
+
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      // Try to use the optimized PostgreSQL function
+      const { data, error } = await supabase.rpc('get_all_accounts_stats');
+
+      if (error) {
+        // Fallback: the function might not exist yet
+        logger.warn('get_all_accounts_stats function not available, using fallback');
+        return null;
+      }
+
+      // Convert to a map for easy lookup
+      const statsMap = {};
+      data.forEach(row => {
+        statsMap[row.account_id] = {
+          total: parseInt(row.total) || 0,
+          incoming: parseInt(row.incoming) || 0,
+          outgoing: parseInt(row.outgoing) || 0,
+          success: parseInt(row.success) || 0,
+          failed: parseInt(row.failed) || 0,
+          outgoing_success: parseInt(row.outgoing_success) || 0
+        };
+      });
+
+      cacheManager.set(cacheKey, statsMap, 60000); // Cache for 1 minute
+      return statsMap;
+    } catch (error) {
+      logger.error('Error fetching all accounts stats:', error);
+      return null;
+    }
+  },
+
+  // ============================================================================
+  // ACCOUNT NUMBER SETTINGS (with caching for speed)
+  // ============================================================================
+
+  // Get number settings - uses cache for fast lookups
+  async getNumberSettings(accountId, phoneNumber) {
+    try {
+      // Normalize phone number (remove non-digits)
+      const normalizedPhone = phoneNumber.replace(/\D/g, '');
+      const cacheKey = `number_settings:${accountId}:${normalizedPhone}`;
+
+      // Check cache first
+      const cached = cacheManager.get(cacheKey);
+      if (cached !== null) {
+        return cached;
+      }
+
+      // Query database
+      const { data, error } = await supabase
+        .from('account_number_settings')
+        .select('*')
+        .eq('account_id', accountId)
+        .eq('phone_number', normalizedPhone)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+        throw error;
+      }
+
+      // Default settings if not found (all enabled)
+      const settings = data || {
+        webhook_enabled: true,
+        chatbot_enabled: true,
+        flow_enabled: true
+      };
+
+      // Cache for 5 minutes
+      cacheManager.set(cacheKey, settings, 300000);
+
+      return settings;
+    } catch (error) {
+      logger.error('Error getting number settings:', error);
+      // Return defaults on error (don't block processing)
+      return { webhook_enabled: true, chatbot_enabled: true, flow_enabled: true };
+    }
+  },
+
+  // Get all number settings for an account
+  async getAllNumberSettings(accountId) {
+    try {
+      const { data, error } = await supabase
+        .from('account_number_settings')
+        .select('*')
+        .eq('account_id', accountId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting all number settings:', error);
+      return [];
+    }
+  },
+
+  // Add or update number settings
+  async upsertNumberSettings(accountId, phoneNumber, settings) {
+    try {
+      const normalizedPhone = phoneNumber.replace(/\D/g, '');
+
+      const { data, error } = await supabase
+        .from('account_number_settings')
+        .upsert({
+          account_id: accountId,
+          phone_number: normalizedPhone,
+          webhook_enabled: settings.webhook_enabled !== false,
+          chatbot_enabled: settings.chatbot_enabled !== false,
+          flow_enabled: settings.flow_enabled !== false,
+          notes: settings.notes || null,
+          updated_at: new Date().toISOString()
+        }, {
+          onConflict: 'account_id,phone_number'
+        })
+        .select()
         .single();
 
       if (error) throw error;
@@ -1207,8 +2213,9 @@ const db = {
    * @param {object} messageContent - The message content object
    * @param {string} direction - 'in' for incoming, 'out' for outgoing
    * @param {string} remoteJid - The remote JID (optional)
+   * @param {string} participant - Sender JID for group messages (optional)
    */
-  async storeMessage(accountId, messageId, messageContent, direction, remoteJid = null) {
+  async storeMessage(accountId, messageId, messageContent, direction, remoteJid = null, participant = null) {
     try {
       const { error } = await supabase
         .from('wa_messages')
@@ -1218,6 +2225,7 @@ const db = {
           message_content: messageContent,
           direction: direction,
           remote_jid: remoteJid,
+          participant,
           created_at: new Date().toISOString()
         }, {
           onConflict: 'account_id,message_id'
@@ -1283,6 +2291,29 @@ const db = {
     }
   },
 
+  /**
+   * Retrieve a stored message with its chat and direction (for quoted replies)
+   * @param {string} accountId - Account UUID
+   * @param {string} messageId - WhatsApp message ID
+   * @returns {object|null} - { message_id, message_content, direction, remote_jid, participant } or null
+   */
+  async getStoredMessage(accountId, messageId) {
+    try {
+      const { data, error } = await supabase
+        .from('wa_messages')
+        .select('message_id, message_content, direction, remote_jid, participant')
+        .eq('account_id', accountId)
+        .eq('message_id', messageId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.warn(`[MsgStore] Error retrieving stored message: ${error.message}`);
+      return null;
+    }
+  },
+
   /**
    * Cleanup old messages (call periodically)
    * Removes messages older than 24 hours to prevent table bloat
@@ -1340,5 +2371,8 @@ const db = {
 module.exports = {
   supabase,
   db,
-  MissingWebhookQueueTableError
+  MissingWebhookQueueTableError,
+  MissingOutboundQueueTableError,
+  MissingIdempotencyTableError,
+  MissingMediaTableError
 };
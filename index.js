@@ -15,11 +15,17 @@ const pg = require('pg');
 const pgSession = require('connect-pg-simple')(session);
 
 const { requireAuth, requireGuest, checkSessionTimeout, login, logout, getCurrentUser } = require('./middleware/auth');
+const { idempotency } = require('./middleware/idempotency');
 const { db, supabase, MissingWebhookQueueTableError } = require('./config/database');
 const whatsappManager = require('./utils/whatsappManager');
 const webhookDeliveryService = require('./utils/webhookDeliveryService');
+const outboundMessageService = require('./utils/outboundMessageService');
+const mediaStorageService = require('./utils/mediaStorageService');
+const { isSupportedImage } = require('./utils/stickerConverter');
+const { findPlaceholders, validateTemplateShape, renderTemplate, toOutboundJob } = require('./utils/messageTemplates');
+const { parseNumberSettingsCsv } = require('./utils/numberSettingsCsv');
 const logger = require('./utils/logger');
-const { validate, schemas } = require('./utils/validator');
+const { validate, schemas, resolveSendAt } = require('./utils/validator');
 const { apiLimiter, authLimiter, messageLimiter, webhookLimiter, accountLimiter } = require('./utils/rateLimiter');
 
 const app = express();
@@ -558,10 +564,643 @@ app.post('/api/accounts/:id/reconnect', requireAuth, apiLimiter, async (req, res
   }
 });
 
+// Incoming call handling (auto-reject + optional text reply)
+app.get('/api/accounts/:id/call-settings', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const settings = await whatsappManager.getCallSettings(req.params.id);
+    res.json(settings);
+  } catch (error) {
+    if (error.message === 'Account not found') {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    logger.error(`Error fetching call settings for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch call settings' });
+  }
+});
+
+app.put('/api/accounts/:id/call-settings', requireAuth, apiLimiter, validate(schemas.callSettings), async (req, res) => {
+  try {
+    const settings = await whatsappManager.updateCallSettings(req.params.id, req.body);
+    res.json(settings);
+  } catch (error) {
+    if (error.message === 'Account not found') {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    logger.error(`Error updating call settings for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update call settings', message: error.message });
+  }
+});
+
+// Read receipts (auto_read = mark incoming messages read once a webhook or chatbot handled them)
+app.get('/api/accounts/:id/read-settings', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const settings = await whatsappManager.getReadSettings(req.params.id);
+    res.json(settings);
+  } catch (error) {
+    if (error.message === 'Account not found') {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    logger.error(`Error fetching read settings for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch read settings' });
+  }
+});
+
+app.put('/api/accounts/:id/read-settings', requireAuth, apiLimiter, validate(schemas.readSettings), async (req, res) => {
+  try {
+    const settings = await whatsappManager.updateReadSettings(req.params.id, req.body);
+    res.json(settings);
+  } catch (error) {
+    if (error.message === 'Account not found') {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    logger.error(`Error updating read settings for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update read settings', message: error.message });
+  }
+});
+
+// ============================================================================
+// CONTACTS API
+// ============================================================================
+
+// Which numbers are on WhatsApp (?refresh=true bypasses the cache)
+app.post('/api/accounts/:id/contacts/check', requireAuth, apiLimiter, validate(schemas.checkNumbers), async (req, res) => {
+  try {
+    const results = await whatsappManager.checkNumbers(req.params.id, req.body.numbers, { refresh: req.query.refresh === 'true' });
+    res.json({
+      results,
+      registered: results.filter(r => r.registered).length,
+      not_registered: results.filter(r => !r.registered).length
+    });
+  } catch (error) {
+    logger.error(`Error checking numbers for ${req.params.id}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to check numbers', code: error.code, message: error.message });
+  }
+});
+
+// Profile picture, about text and business flag of a contact
+app.get('/api/accounts/:id/contacts/:number', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const profile = await whatsappManager.getContactProfile(req.params.id, req.params.number, { refresh: req.query.refresh === 'true' });
+    res.json(profile);
+  } catch (error) {
+    logger.error(`Error fetching contact ${req.params.number}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to fetch contact', code: error.code, message: error.message });
+  }
+});
+
+// Block / unblock on WhatsApp - messages from blocked numbers skip webhooks and the chatbot
+app.post('/api/accounts/:id/contacts/:number/:action(block|unblock)', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const result = await whatsappManager.updateBlockStatus(req.params.id, req.params.number, req.params.action);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error(`Error trying to ${req.params.action} ${req.params.number}:`, error);
+    res.status(error.status || 500).json({ error: `Failed to ${req.params.action} contact`, code: error.code, message: error.message });
+  }
+});
+
+// Blocked numbers, fetched from WhatsApp
+app.get('/api/accounts/:id/blocklist', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const blocklist = await whatsappManager.getBlocklist(req.params.id);
+    res.json(blocklist);
+  } catch (error) {
+    logger.error(`Error fetching blocklist for ${req.params.id}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to fetch blocklist', code: error.code, message: error.message });
+  }
+});
+
+// Presence updates (online, last seen, typing) of contacts arrive as `presence` events
+app.post('/api/accounts/:id/presence/subscribe', requireAuth, apiLimiter, validate(schemas.presenceSubscribe), async (req, res) => {
+  try {
+    const results = await whatsappManager.subscribePresence(req.params.id, req.body.numbers);
+    res.json({ results, subscribed: results.filter(r => r.subscribed).length });
+  } catch (error) {
+    logger.error(`Error subscribing to presence for ${req.params.id}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to subscribe to presence', code: error.code, message: error.message });
+  }
+});
+
+// Show typing/recording in a chat while an agent writes (paused clears it)
+app.post('/api/accounts/:id/presence', requireAuth, apiLimiter, validate(schemas.chatPresence), async (req, res) => {
+  try {
+    const result = await whatsappManager.sendChatPresence(req.params.id, req.body.number, req.body.state);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error(`Error sending presence for ${req.params.id}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to send presence', code: error.code, message: error.message });
+  }
+});
+
+// ============================================================================
+// CHATS API (message history from message_logs)
+// ============================================================================
+
+const parseLimit = (value, fallback, max) => Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+
+// Opaque keyset cursor: base64url of "<created_at>|<id>" of the last message returned
+const encodeCursor = (message) => Buffer.from(`${message.created_at}|${message.id}`).toString('base64url');
+const decodeCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  if (!createdAt || !id || Number.isNaN(Date.parse(createdAt)) || !/^[0-9a-f-]{36}$/i.test(id)) {
+    return null;
+  }
+  return { createdAt, id };
+};
+
+// Conversations with their last message and unread count, most recent first
+app.get('/api/accounts/:id/chats', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const chats = await db.getChats(req.params.id, limit, offset);
+    res.json({ chats, limit, offset });
+  } catch (error) {
+    logger.error(`Error fetching chats for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch chats', message: error.message });
+  }
+});
+
+// Messages of one chat, newest first (?before=<next_cursor> for older pages)
+app.get('/api/accounts/:id/chats/:number/messages', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 50, 200);
+    const cursor = req.query.before ? decodeCursor(req.query.before) : null;
+    if (req.query.before && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    // Accept phone numbers, JIDs and group IDs - chat_id is stored without the domain
+    const chatId = whatsappManager.formatPhoneNumber(req.params.number).split('@')[0];
+
+    // One extra row tells whether an older page exists
+    const rows = await db.getChatMessages(req.params.id, chatId, limit + 1, cursor);
+    const messages = rows.slice(0, limit);
+    const hasMore = rows.length > limit;
+
+    res.json({
+      chat_id: chatId,
+      messages,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(messages[messages.length - 1]) : null
+    });
+  } catch (error) {
+    logger.error(`Error fetching messages of chat ${req.params.number}:`, error);
+    res.status(500).json({ error: 'Failed to fetch messages', message: error.message });
+  }
+});
+
+// Send read receipts for specific messages ({"message_ids": [...]}) or the whole chat
+app.post('/api/accounts/:id/chats/:number/read', requireAuth, apiLimiter, validate(schemas.markChatRead), async (req, res) => {
+  try {
+    const result = await whatsappManager.markChatRead(req.params.id, req.params.number, req.body.message_ids || null);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error(`Error marking chat ${req.params.number} read:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to mark chat read', code: error.code, message: error.message });
+  }
+});
+
+// Archive/unarchive, pin/unpin, mute/unmute ({"duration_seconds": ...}) and mark unread
+app.post('/api/accounts/:id/chats/:number/:action(archive|unarchive|pin|unpin|mute|unmute|unread)', requireAuth, apiLimiter, validate(schemas.chatAction), async (req, res) => {
+  try {
+    const result = await whatsappManager.modifyChat(req.params.id, req.params.number, req.params.action, req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error(`Error updating chat ${req.params.number} (${req.params.action}):`, error);
+    res.status(error.status || 500).json({ error: 'Failed to update chat', code: error.code, message: error.message });
+  }
+});
+
+// Recent messages across all accounts (dashboard Messages view)
+app.get('/api/messages', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const messages = await db.getRecentMessages(parseLimit(req.query.limit, 50, 200));
+    res.json(messages);
+  } catch (error) {
+    logger.error('Error fetching recent messages:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// ============================================================================
+// NUMBER SETTINGS API (per-contact webhook / chatbot switches)
+// ============================================================================
+
+// Stored like incoming senders: digits with country code (10-digit numbers get 91)
+const toSettingsPhone = (number) => whatsappManager.formatPhoneNumber(String(number)).split('@')[0];
+const toSettingsRecord = (item) => ({ ...item, phone_number: toSettingsPhone(item.phone_number) });
+// Normalize before de-duplicating - 9876543210 and 919876543210 are the same row, and
+// a batch upsert can't touch one row twice. Last entry wins.
+const toSettingsRecords = (items) => Array.from(
+  new Map(items.map(toSettingsRecord).map(record => [record.phone_number, record])).values()
+);
+
+// CSV file upload (form-data field "file") or {"csv": "..."} JSON
+const csvUpload = (req, res, next) => {
+  if ((req.headers['content-type'] || '').includes('multipart/form-data')) {
+    upload.single('file')(req, res, next);
+  } else {
+    next();
+  }
+};
+
+app.get('/api/accounts/:id/number-settings', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const settings = await db.getAllNumberSettings(req.params.id);
+    res.json({ settings, total: settings.length });
+  } catch (error) {
+    logger.error(`Error fetching number settings for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch number settings', message: error.message });
+  }
+});
+
+app.post('/api/accounts/:id/number-settings', requireAuth, apiLimiter, validate(schemas.createNumberSettings), async (req, res) => {
+  try {
+    const { phone_number, ...settings } = toSettingsRecord(req.body);
+    const saved = await db.upsertNumberSettings(req.params.id, phone_number, settings);
+    res.status(201).json(saved);
+  } catch (error) {
+    logger.error(`Error saving number settings for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to save number settings', message: error.message });
+  }
+});
+
+app.post('/api/accounts/:id/number-settings/bulk', requireAuth, apiLimiter, validate(schemas.bulkNumberSettings), async (req, res) => {
+  try {
+    const saved = await db.bulkUpsertNumberSettings(req.params.id, toSettingsRecords(req.body.numbers));
+    res.json({ saved: saved?.length || 0 });
+  } catch (error) {
+    logger.error(`Error bulk saving number settings for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to save number settings', message: error.message });
+  }
+});
+
+// CSV import - header row with phone_number plus any of webhook_enabled, chatbot_enabled, flow_enabled, notes
+app.post('/api/accounts/:id/number-settings/import', requireAuth, apiLimiter, csvUpload, async (req, res) => {
+  try {
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!csv) {
+      return res.status(400).json({ error: 'Upload a CSV file (form field "file") or send {"csv": "..."}' });
+    }
+
+    const { records, errors } = parseNumberSettingsCsv(csv);
+    if (records.length === 0) {
+      return res.status(400).json({ error: 'No valid rows in CSV', errors });
+    }
+
+    const saved = await db.bulkUpsertNumberSettings(req.params.id, toSettingsRecords(records));
+    res.json({ imported: saved?.length || 0, skipped: errors.length, errors });
+  } catch (error) {
+    logger.error(`Error importing number settings for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to import number settings', message: error.message });
+  }
+});
+
+// Settings in effect for a number (all enabled when it has no row)
+app.get('/api/accounts/:id/number-settings/:number', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const phone = toSettingsPhone(req.params.number);
+    const settings = await db.getNumberSettings(req.params.id, phone);
+    res.json({ phone_number: phone, ...settings });
+  } catch (error) {
+    logger.error(`Error fetching number settings for ${req.params.number}:`, error);
+    res.status(500).json({ error: 'Failed to fetch number settings', message: error.message });
+  }
+});
+
+// Partial update - flags left out keep their current value
+app.put('/api/accounts/:id/number-settings/:number', requireAuth, apiLimiter, validate(schemas.numberSettings), async (req, res) => {
+  try {
+    const phone = toSettingsPhone(req.params.number);
+    const current = await db.getNumberSettings(req.params.id, phone);
+    const saved = await db.upsertNumberSettings(req.params.id, phone, {
+      webhook_enabled: current.webhook_enabled,
+      chatbot_enabled: current.chatbot_enabled,
+      flow_enabled: current.flow_enabled,
+      notes: current.notes,
+      ...req.body
+    });
+    res.json(saved);
+  } catch (error) {
+    logger.error(`Error updating number settings for ${req.params.number}:`, error);
+    res.status(500).json({ error: 'Failed to update number settings', message: error.message });
+  }
+});
+
+app.delete('/api/accounts/:id/number-settings/:number', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    await db.deleteNumberSettings(req.params.id, toSettingsPhone(req.params.number));
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error deleting number settings for ${req.params.number}:`, error);
+    res.status(500).json({ error: 'Failed to delete number settings', message: error.message });
+  }
+});
+
+// ============================================================================
+// SUPPRESSION LIST API (opt-outs)
+// ============================================================================
+// Same handlers for the dashboard (/api/accounts/:id/...) and API-key (/api/suppressions) routes;
+// `source` records which one made the change
+
+const listSuppressions = async (accountId, res) => {
+  const suppressions = await db.getSuppressions(accountId);
+  res.json({ suppressions, total: suppressions.length });
+};
+
+const addSuppressions = async (accountId, body, source, res) => {
+  const reason = body.reason || null;
+  const results = [];
+  for (const number of body.numbers) {
+    results.push(await whatsappManager.suppressNumber(accountId, number, { source, reason }));
+  }
+  res.status(201).json({
+    results,
+    added: results.filter(r => !r.already_suppressed).length
+  });
+};
+
+const removeSuppression = async (accountId, number, reason, source, res) => {
+  const result = await whatsappManager.unsuppressNumber(accountId, number, { source, reason: reason || null });
+  if (!result.was_suppressed) {
+    return res.status(404).json({ error: 'Number is not suppressed', phone: result.phone });
+  }
+  res.json(result);
+};
+
+app.get('/api/accounts/:id/suppressions', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    await listSuppressions(req.params.id, res);
+  } catch (error) {
+    logger.error(`Error fetching suppression list for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch suppression list', message: error.message });
+  }
+});
+
+// Audit trail of opt-outs and resubscribes (?number= for one contact)
+app.get('/api/accounts/:id/suppressions/audit', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const phone = req.query.number ? whatsappManager.getSuppressionPhone(req.query.number) : null;
+    const entries = await db.getSuppressionAudit(req.params.id, phone, parseLimit(req.query.limit, 100, 1000));
+    res.json({ entries });
+  } catch (error) {
+    logger.error(`Error fetching suppression audit for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch suppression audit', message: error.message });
+  }
+});
+
+app.post('/api/accounts/:id/suppressions', requireAuth, apiLimiter, validate(schemas.addSuppression), async (req, res) => {
+  try {
+    await addSuppressions(req.params.id, req.body, 'dashboard', res);
+  } catch (error) {
+    logger.error(`Error adding suppressions for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to add to suppression list', message: error.message });
+  }
+});
+
+app.delete('/api/accounts/:id/suppressions/:number', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    await removeSuppression(req.params.id, req.params.number, req.query.reason, 'dashboard', res);
+  } catch (error) {
+    logger.error(`Error removing suppression of ${req.params.number}:`, error);
+    res.status(500).json({ error: 'Failed to remove from suppression list', message: error.message });
+  }
+});
+
+app.get('/api/suppressions', requireApiKey, apiLimiter, async (req, res) => {
+  try {
+    await listSuppressions(req.apiAccount.id, res);
+  } catch (error) {
+    logger.error(`Error fetching suppression list for ${req.apiAccount.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch suppression list', message: error.message });
+  }
+});
+
+app.post('/api/suppressions', requireApiKey, apiLimiter, validate(schemas.addSuppression), async (req, res) => {
+  try {
+    await addSuppressions(req.apiAccount.id, req.body, 'api', res);
+  } catch (error) {
+    logger.error(`Error adding suppressions for ${req.apiAccount.id}:`, error);
+    res.status(500).json({ error: 'Failed to add to suppression list', message: error.message });
+  }
+});
+
+app.delete('/api/suppressions/:number', requireApiKey, apiLimiter, async (req, res) => {
+  try {
+    await removeSuppression(req.apiAccount.id, req.params.number, req.query.reason, 'api', res);
+  } catch (error) {
+    logger.error(`Error removing suppression of ${req.params.number}:`, error);
+    res.status(500).json({ error: 'Failed to remove from suppression list', message: error.message });
+  }
+});
+
+// ============================================================================
+// TEMPLATES API
+// ============================================================================
+
+const formatTemplate = (template) => ({ ...template, placeholders: findPlaceholders(template) });
+
+app.get('/api/accounts/:id/templates', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const templates = await db.getTemplates(req.params.id);
+    res.json(templates.map(formatTemplate));
+  } catch (error) {
+    logger.error(`Error fetching templates for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch templates', message: error.message });
+  }
+});
+
+app.post('/api/accounts/:id/templates', requireAuth, apiLimiter, validate(schemas.createTemplate), async (req, res) => {
+  try {
+    const shapeError = validateTemplateShape(req.body);
+    if (shapeError) {
+      return res.status(400).json({ error: shapeError });
+    }
+
+    const template = await db.createTemplate({ ...req.body, account_id: req.params.id });
+    res.status(201).json(formatTemplate(template));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `A template named "${req.body.name}" already exists` });
+    }
+    logger.error(`Error creating template for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to create template', message: error.message });
+  }
+});
+
+// :templateId accepts the template ID or its name
+app.get('/api/accounts/:id/templates/:templateId', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const template = await db.getTemplate(req.params.id, req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(formatTemplate(template));
+  } catch (error) {
+    logger.error(`Error fetching template ${req.params.templateId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch template', message: error.message });
+  }
+});
+
+app.put('/api/accounts/:id/templates/:templateId', requireAuth, apiLimiter, validate(schemas.updateTemplate), async (req, res) => {
+  try {
+    const existing = await db.getTemplate(req.params.id, req.params.templateId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    // The stored template with the changes applied must still be complete for its type
+    const shapeError = validateTemplateShape({ ...existing, ...req.body });
+    if (shapeError) {
+      return res.status(400).json({ error: shapeError });
+    }
+
+    const template = await db.updateTemplate(req.params.id, existing.id, req.body);
+    res.json(formatTemplate(template));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `A template named "${req.body.name}" already exists` });
+    }
+    logger.error(`Error updating template ${req.params.templateId}:`, error);
+    res.status(500).json({ error: 'Failed to update template', message: error.message });
+  }
+});
+
+app.delete('/api/accounts/:id/templates/:templateId', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const existing = await db.getTemplate(req.params.id, req.params.templateId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await db.deleteTemplate(req.params.id, existing.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error deleting template ${req.params.templateId}:`, error);
+    res.status(500).json({ error: 'Failed to delete template', message: error.message });
+  }
+});
+
+// ============================================================================
+// GROUPS API
+// ============================================================================
+
+// List groups the account participates in
+app.get('/api/accounts/:id/groups', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const groups = await whatsappManager.listGroups(req.params.id);
+    res.json({ groups, count: groups.length });
+  } catch (error) {
+    logger.error(`Error listing groups for ${req.params.id}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to list groups', code: error.code, message: error.message });
+  }
+});
+
+// Group metadata with participants (?refresh=true bypasses the cache)
+app.get('/api/accounts/:id/groups/:jid', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const group = await whatsappManager.getGroup(req.params.id, req.params.jid, { refresh: req.query.refresh === 'true' });
+    res.json(group);
+  } catch (error) {
+    logger.error(`Error fetching group ${req.params.jid}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to get group', code: error.code, message: error.message });
+  }
+});
+
+// Create a group
+app.post('/api/accounts/:id/groups', requireAuth, apiLimiter, validate(schemas.createGroup), async (req, res) => {
+  try {
+    const { subject, participants } = req.body;
+    const group = await whatsappManager.createGroup(req.params.id, subject, participants);
+    res.status(201).json(group);
+  } catch (error) {
+    logger.error(`Error creating group for ${req.params.id}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to create group', code: error.code, message: error.message });
+  }
+});
+
+// Add / remove / promote / demote participants (per-participant results)
+app.post('/api/accounts/:id/groups/:jid/participants', requireAuth, apiLimiter, validate(schemas.groupParticipants), async (req, res) => {
+  try {
+    const { action, participants } = req.body;
+    const result = await whatsappManager.updateGroupParticipants(req.params.id, req.params.jid, participants, action);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error updating participants of ${req.params.jid}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to update participants', code: error.code, message: error.message });
+  }
+});
+
+app.put('/api/accounts/:id/groups/:jid/subject', requireAuth, apiLimiter, validate(schemas.groupSubject), async (req, res) => {
+  try {
+    const result = await whatsappManager.updateGroupSubject(req.params.id, req.params.jid, req.body.subject);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error updating subject of ${req.params.jid}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to update group subject', code: error.code, message: error.message });
+  }
+});
+
+app.put('/api/accounts/:id/groups/:jid/description', requireAuth, apiLimiter, validate(schemas.groupDescription), async (req, res) => {
+  try {
+    const result = await whatsappManager.updateGroupDescription(req.params.id, req.params.jid, req.body.description);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error updating description of ${req.params.jid}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to update group description', code: error.code, message: error.message });
+  }
+});
+
+// Announcement-only mode (only admins can send)
+app.put('/api/accounts/:id/groups/:jid/settings', requireAuth, apiLimiter, validate(schemas.groupSettings), async (req, res) => {
+  try {
+    const result = await whatsappManager.setGroupAnnouncement(req.params.id, req.params.jid, req.body.announcement);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error updating settings of ${req.params.jid}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to update group settings', code: error.code, message: error.message });
+  }
+});
+
+app.get('/api/accounts/:id/groups/:jid/invite-link', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const result = await whatsappManager.getGroupInviteLink(req.params.id, req.params.jid);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error fetching invite link of ${req.params.jid}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to get invite link', code: error.code, message: error.message });
+  }
+});
+
+// Revoke the invite link (returns the new one)
+app.post('/api/accounts/:id/groups/:jid/invite-link/revoke', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const result = await whatsappManager.revokeGroupInviteLink(req.params.id, req.params.jid);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error revoking invite link of ${req.params.jid}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to revoke invite link', code: error.code, message: error.message });
+  }
+});
+
+app.post('/api/accounts/:id/groups/:jid/leave', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const result = await whatsappManager.leaveGroup(req.params.id, req.params.jid);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error leaving group ${req.params.jid}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to leave group', code: error.code, message: error.message });
+  }
+});
+
 // ============================================================================
 // WEBHOOKS API
 // ============================================================================
 
+// Event types a webhook can subscribe to ('*' / 'all' = everything)
+const WEBHOOK_EVENTS = ['message', 'message_ack', 'reaction', 'message_edited', 'message_deleted', 'poll_vote', 'call', 'group_participants', 'group_update', 'connection', 'presence', '*', 'all'];
+
 app.get('/api/accounts/:id/webhooks', requireAuth, apiLimiter, async (req, res) => {
   try {
     const webhooks = await db.getWebhooks(req.params.id);
@@ -582,8 +1221,7 @@ app.post('/api/accounts/:id/webhooks', requireAuth, webhookLimiter, async (req,
     }
 
     // Validate events array - default to 'message' if not provided
-    const validEvents = ['message', 'message_ack', '*', 'all'];
-    const webhookEvents = Array.isArray(events) ? events.filter(e => validEvents.includes(e)) : ['message'];
+    const webhookEvents = Array.isArray(events) ? events.filter(e => WEBHOOK_EVENTS.includes(e)) : ['message'];
     
     if (webhookEvents.length === 0) {
       webhookEvents.push('message'); // Default fallback
@@ -700,8 +1338,7 @@ app.post('/api/webhooks', requireAuth, webhookLimiter, validate(schemas.createWe
     const { account_id, url, secret, is_active, events } = req.body;
 
     // Validate events array
-    const validEvents = ['message', 'message_ack', '*', 'all'];
-    const webhookEvents = Array.isArray(events) ? events.filter(e => validEvents.includes(e)) : ['message'];
+    const webhookEvents = Array.isArray(events) ? events.filter(e => WEBHOOK_EVENTS.includes(e)) : ['message'];
     if (webhookEvents.length === 0) webhookEvents.push('message');
 
     const webhookData = {
@@ -957,94 +1594,154 @@ async function requireApiKey(req, res, next) {
   }
 }
 
+// Idempotency-Key on send endpoints: replays of queued sends report the job's current state
+const sendIdempotency = idempotency({
+  refresh: async (body) => {
+    if (!body?.job_id) return body;
+    const job = await outboundMessageService.getJob(body.job_id);
+    return job ? { ...body, ...job } : body;
+  }
+});
+
 // Send text message (API Key auth)
-app.post('/api/send', requireApiKey, messageLimiter, async (req, res) => {
+// Queued: responds immediately with a job ID, the outbound worker does the actual send
+// Optional send_at (+ timezone) schedules the message instead
+app.post('/api/send', requireApiKey, messageLimiter, sendIdempotency, async (req, res) => {
   try {
-    const { number, message } = req.body;
+    const { number, message, send_at, timezone, quoted_message_id } = req.body;
     const account_id = req.apiAccount.id;
 
     if (!number || !message) {
       return res.status(400).json({ error: 'number and message are required' });
     }
 
-    const result = await whatsappManager.sendMessage(account_id, number, message);
+    const schedule = resolveSendAt(send_at, timezone);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    // Fail fast on an unknown quoted message instead of failing the queued job later
+    if (quoted_message_id) {
+      await whatsappManager.getQuotedMessage(account_id, quoted_message_id);
+    }
+
+    // The Idempotency-Key already guards against retries, so identical repeats are intentional
+    const options = {};
+    if (req.idempotencyKey) options.skipDuplicateCheck = true;
+    if (quoted_message_id) options.quotedMessageId = quoted_message_id;
+    const job = await outboundMessageService.enqueue(account_id, 'text', number, { message, options }, schedule.value);
 
     // Emit socket event
-    emitToAccount(account_id, 'message-sent', result);
+    emitToAccount(account_id, 'message-queued', job);
 
-    res.json(result);
+    res.status(202).json({ success: true, ...job });
   } catch (error) {
-    logger.error('Error sending message:', error);
-    res.status(500).json({ error: 'Failed to send message', message: error.message });
+    logger.error('Error queueing message:', error);
+    res.status(error.status || 500).json({ error: 'Failed to queue message', code: error.code, message: error.message });
   }
 });
 
+// sendAudioAsVoice / sendMediaAsDocument: an options object in JSON bodies,
+// a JSON string or flat fields in form-data
+const parseMediaOptions = (body) => {
+  let options = body.options || {};
+  if (typeof options === 'string') {
+    try {
+      options = JSON.parse(options);
+    } catch {
+      options = {};
+    }
+  }
+
+  const flag = (value) => value === true || value === 'true';
+  const result = {};
+  if (flag(options.sendAudioAsVoice ?? body.sendAudioAsVoice)) result.sendAudioAsVoice = true;
+  if (flag(options.sendMediaAsDocument ?? body.sendMediaAsDocument)) result.sendMediaAsDocument = true;
+  return result;
+};
+
+// Media from a form-data upload, base64 in the JSON body, or a URL (null when none given)
+const parseMediaInput = (req) => {
+  // Check for file upload (form-data)
+  if (req.file) {
+    return {
+      data: req.file.buffer.toString('base64'),
+      mimetype: req.file.mimetype,
+      filename: req.file.originalname
+    };
+  }
+
+  // Check for base64 in JSON body
+  if (req.body.data && req.body.mimetype) {
+    // Strip data URL prefix if present (e.g., "data:image/png;base64,...")
+    let base64Data = req.body.data;
+    if (typeof base64Data === 'string' && base64Data.includes(',')) {
+      base64Data = base64Data.split(',')[1];
+    }
+
+    return {
+      data: base64Data,
+      mimetype: req.body.mimetype,
+      filename: req.body.filename || 'file'
+    };
+  }
+
+  // Check for URL
+  if (req.body.url) {
+    return {
+      url: req.body.url,
+      mimetype: req.body.mimetype || '',
+      filename: req.body.filename || ''
+    };
+  }
+
+  return null;
+};
+
 // Send media (API Key auth)
 // Send media - supports file upload, base64, or URL
 // Use conditional middleware: only run multer if content-type is multipart/form-data
 const sendMediaHandler = async (req, res) => {
   try {
-    const { number, caption } = req.body;
+    const { number, caption, send_at, timezone, quoted_message_id } = req.body;
     const account_id = req.apiAccount.id;
-    const file = req.file;
 
     if (!number) {
       return res.status(400).json({ error: 'number is required' });
     }
 
-    let mediaData;
-
-    // Check for file upload (form-data)
-    if (file) {
-      mediaData = {
-        data: file.buffer.toString('base64'),
-        mimetype: file.mimetype,
-        filename: file.originalname
-      };
-    }
-    // Check for base64 in JSON body
-    else if (req.body.data && req.body.mimetype) {
-      // Strip data URL prefix if present (e.g., "data:image/png;base64,...")
-      let base64Data = req.body.data;
-      if (typeof base64Data === 'string' && base64Data.includes(',')) {
-        base64Data = base64Data.split(',')[1];
-      }
-      
-      mediaData = {
-        data: base64Data,
-        mimetype: req.body.mimetype,
-        filename: req.body.filename || 'file'
-      };
+    const schedule = resolveSendAt(send_at, timezone);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
     }
-    // Check for URL
-    else if (req.body.url) {
-      mediaData = {
-        url: req.body.url,
-        mimetype: req.body.mimetype || '',
-        filename: req.body.filename || ''
-      };
+
+    if (quoted_message_id) {
+      await whatsappManager.getQuotedMessage(account_id, quoted_message_id);
     }
-    else {
+
+    const mediaData = parseMediaInput(req);
+    if (!mediaData) {
       return res.status(400).json({ 
         error: 'Media is required. Provide either: file upload (form-data), base64 data with mimetype, or url' 
       });
     }
 
-    const result = await whatsappManager.sendMedia(
-      account_id,
-      number,
-      mediaData,
-      caption || '',
-      {}
-    );
+    const options = parseMediaOptions(req.body);
+    if (quoted_message_id) options.quotedMessageId = quoted_message_id;
+
+    const job = await outboundMessageService.enqueue(account_id, 'media', number, {
+      media: mediaData,
+      caption: caption || '',
+      options
+    }, schedule.value);
 
     // Emit socket event
-    emitToAccount(account_id, 'media-sent', result);
+    emitToAccount(account_id, 'message-queued', job);
 
-    res.json(result);
+    res.status(202).json({ success: true, ...job });
   } catch (error) {
-    logger.error('Error sending media:', error);
-    res.status(500).json({ error: 'Failed to send media', message: error.message });
+    logger.error('Error queueing media:', error);
+    res.status(error.status || 500).json({ error: 'Failed to queue media', code: error.code, message: error.message });
   }
 };
 
@@ -1058,12 +1755,296 @@ const conditionalUpload = (req, res, next) => {
   }
 };
 
-app.post('/api/send-media', requireApiKey, messageLimiter, conditionalUpload, sendMediaHandler);
+app.post('/api/send-media', requireApiKey, messageLimiter, conditionalUpload, sendIdempotency, sendMediaHandler);
+
+// Send sticker - same media inputs as send-media, converted to a 512x512 WebP sticker on send
+app.post('/api/send-sticker', requireApiKey, messageLimiter, conditionalUpload, sendIdempotency, async (req, res) => {
+  try {
+    const { number, send_at, timezone, quoted_message_id, pack, author } = req.body;
+    const account_id = req.apiAccount.id;
+
+    if (!number) {
+      return res.status(400).json({ error: 'number is required' });
+    }
+
+    const schedule = resolveSendAt(send_at, timezone);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    const mediaData = parseMediaInput(req);
+    if (!mediaData) {
+      return res.status(400).json({
+        error: 'Image is required. Provide either: file upload (form-data), base64 data with mimetype, or url'
+      });
+    }
+
+    // URL images are checked once downloaded
+    if (mediaData.mimetype && !isSupportedImage(mediaData.mimetype)) {
+      return res.status(400).json({ error: `Unsupported image type ${mediaData.mimetype}. Use PNG, JPEG, GIF or WebP` });
+    }
+
+    if (quoted_message_id) {
+      await whatsappManager.getQuotedMessage(account_id, quoted_message_id);
+    }
+
+    // emojis: array in JSON, comma-separated in form-data
+    let emojis = req.body.emojis || [];
+    if (typeof emojis === 'string') emojis = emojis.split(',').map(e => e.trim()).filter(Boolean);
+
+    const job = await outboundMessageService.enqueue(account_id, 'sticker', number, {
+      media: mediaData,
+      sticker: {
+        pack: String(pack || process.env.STICKER_PACK_NAME || '').slice(0, 100),
+        author: String(author || process.env.STICKER_AUTHOR || '').slice(0, 100),
+        emojis: Array.isArray(emojis) ? emojis.slice(0, 3).map(String) : []
+      },
+      options: quoted_message_id ? { quotedMessageId: quoted_message_id } : {}
+    }, schedule.value);
+
+    emitToAccount(account_id, 'message-queued', job);
+
+    res.status(202).json({ success: true, ...job });
+  } catch (error) {
+    logger.error('Error queueing sticker:', error);
+    res.status(error.status || 500).json({ error: 'Failed to queue sticker', code: error.code, message: error.message });
+  }
+});
+
+/**
+ * Handler for queued send endpoints whose body was validated by Joi
+ * @param {string} type - Outbound job type
+ * @param {Function} buildPayload - (body) => job payload without options
+ */
+const queuedSendHandler = (type, buildPayload) => async (req, res) => {
+  try {
+    const { number, send_at, timezone, quoted_message_id } = req.body;
+    const account_id = req.apiAccount.id;
+
+    const schedule = resolveSendAt(send_at, timezone);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    if (quoted_message_id) {
+      await whatsappManager.getQuotedMessage(account_id, quoted_message_id);
+    }
+
+    const job = await outboundMessageService.enqueue(account_id, type, number, {
+      ...buildPayload(req.body),
+      options: quoted_message_id ? { quotedMessageId: quoted_message_id } : {}
+    }, schedule.value);
+
+    emitToAccount(account_id, 'message-queued', job);
+
+    res.status(202).json({ success: true, ...job });
+  } catch (error) {
+    logger.error(`Error queueing ${type} message:`, error);
+    res.status(error.status || 500).json({ error: `Failed to queue ${type} message`, code: error.code, message: error.message });
+  }
+};
+
+// Send location pin (API Key auth, queued)
+app.post('/api/send-location', requireApiKey, messageLimiter, validate(schemas.sendLocation), sendIdempotency,
+  queuedSendHandler('location', ({ latitude, longitude, name, address }) => ({
+    location: { latitude, longitude, name, address }
+  })));
+
+// Send contact card(s) (API Key auth, queued)
+app.post('/api/send-contact', requireApiKey, messageLimiter, validate(schemas.sendContact), sendIdempotency,
+  queuedSendHandler('contact', ({ contacts }) => ({ contacts })));
+
+// Send poll (API Key auth, queued)
+app.post('/api/send-poll', requireApiKey, messageLimiter, validate(schemas.sendPoll), sendIdempotency,
+  queuedSendHandler('poll', ({ question, options, allow_multiple }) => ({
+    poll: { question, options, allowMultiple: allow_multiple }
+  })));
+
+// Send a stored template (API Key auth, queued) - dispatched as a text, media, buttons or list job
+app.post('/api/send-template', requireApiKey, messageLimiter, validate(schemas.sendTemplate), sendIdempotency, async (req, res) => {
+  try {
+    const { number, template: templateRef, variables, send_at, timezone, quoted_message_id } = req.body;
+    const account_id = req.apiAccount.id;
+
+    const schedule = resolveSendAt(send_at, timezone);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    const template = await db.getTemplate(account_id, templateRef);
+    if (!template) {
+      return res.status(404).json({ error: `Template not found: ${templateRef}` });
+    }
+
+    const rendered = renderTemplate(template, variables);
+    if (rendered.error) {
+      return res.status(400).json({ error: rendered.error, missing: rendered.missing });
+    }
+
+    if (quoted_message_id) {
+      await whatsappManager.getQuotedMessage(account_id, quoted_message_id);
+    }
+
+    const options = {};
+    if (req.idempotencyKey) options.skipDuplicateCheck = true;
+    if (quoted_message_id) options.quotedMessageId = quoted_message_id;
+
+    const { type, payload } = toOutboundJob(rendered.value, options);
+    const job = await outboundMessageService.enqueue(account_id, type, number, payload, schedule.value);
+
+    emitToAccount(account_id, 'message-queued', job);
+
+    res.status(202).json({ success: true, template: template.name, ...job });
+  } catch (error) {
+    logger.error('Error queueing template message:', error);
+    res.status(error.status || 500).json({ error: 'Failed to queue template message', code: error.code, message: error.message });
+  }
+});
+
+// Poll results (votes tallied from incoming poll_vote updates)
+app.get('/api/polls/:messageId/results', requireApiKey, apiLimiter, async (req, res) => {
+  try {
+    const results = await whatsappManager.getPollResults(req.apiAccount.id, req.params.messageId);
+    res.json(results);
+  } catch (error) {
+    logger.error(`Error fetching poll results for ${req.params.messageId}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to fetch poll results', code: error.code, message: error.message });
+  }
+});
+
+// Incoming media file (URL from the webhook payload's media.url)
+app.get('/api/media/:id', requireApiKey, apiLimiter, async (req, res) => {
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const media = await mediaStorageService.getMedia(req.apiAccount.id, req.params.id);
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const { record, buffer } = media;
+    res.set({
+      'Content-Type': record.mimetype || 'application/octet-stream',
+      'Content-Length': buffer.length,
+      'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${record.filename}"`,
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-SHA256': record.sha256
+    });
+    res.send(buffer);
+  } catch (error) {
+    logger.error(`Error serving media ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch media', message: error.message });
+  }
+});
+
+// Outbound job status (queued, sending, sent, failed)
+app.get('/api/messages/jobs/:id', requireApiKey, apiLimiter, async (req, res) => {
+  try {
+    const job = await outboundMessageService.getJob(req.params.id);
+
+    // Jobs of other accounts are reported as missing, not forbidden
+    if (!job || job.account_id !== req.apiAccount.id) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    logger.error(`Error fetching job ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch job status' });
+  }
+});
+
+// Delivery status of a sent message (pending, sent, delivered, read, played, failed)
+app.get('/api/messages/:messageId/status', requireApiKey, apiLimiter, async (req, res) => {
+  try {
+    const status = await whatsappManager.getMessageStatus(req.apiAccount.id, req.params.messageId);
+    res.json(status);
+  } catch (error) {
+    logger.error(`Error fetching status of ${req.params.messageId}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to fetch message status', code: error.code, message: error.message });
+  }
+});
+
+// React to a message with an emoji (empty emoji removes the reaction)
+app.post('/api/react', requireApiKey, messageLimiter, validate(schemas.sendReaction), async (req, res) => {
+  try {
+    const { message_id, emoji, number, from_me } = req.body;
+    const account_id = req.apiAccount.id;
+
+    const result = await whatsappManager.sendReaction(account_id, message_id, emoji, {
+      number,
+      fromMe: from_me
+    });
+
+    emitToAccount(account_id, 'reaction-sent', result);
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error sending reaction:', error);
+    res.status(error.status || 500).json({ error: 'Failed to send reaction', code: error.code, message: error.message });
+  }
+});
+
+// Edit the text of a message sent by this account
+app.put('/api/messages/:messageId', requireApiKey, messageLimiter, validate(schemas.editMessage), async (req, res) => {
+  try {
+    const result = await whatsappManager.editMessage(req.apiAccount.id, req.params.messageId, req.body.text);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error editing message ${req.params.messageId}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to edit message', code: error.code, message: error.message });
+  }
+});
+
+// Delete (revoke for everyone) a message sent by this account
+app.delete('/api/messages/:messageId', requireApiKey, messageLimiter, async (req, res) => {
+  try {
+    const result = await whatsappManager.deleteMessage(req.apiAccount.id, req.params.messageId);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error deleting message ${req.params.messageId}:`, error);
+    res.status(error.status || 500).json({ error: 'Failed to delete message', code: error.code, message: error.message });
+  }
+});
+
+// Scheduled messages of an account (?status=queued|sent|failed|cancelled, default queued)
+app.get('/api/accounts/:id/scheduled', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const status = req.query.status || 'queued';
+    if (!['queued', 'sending', 'sent', 'failed', 'cancelled'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status filter' });
+    }
+
+    const scheduled = await outboundMessageService.getScheduled(req.params.id, status);
+    res.json(scheduled);
+  } catch (error) {
+    logger.error(`Error fetching scheduled messages for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch scheduled messages', message: error.message });
+  }
+});
+
+// Cancel a scheduled (or still queued) message
+app.delete('/api/accounts/:id/scheduled/:jobId', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const job = await outboundMessageService.cancel(req.params.id, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'No queued message with this ID (it may have been sent already)' });
+    }
+
+    emitToAccount(req.params.id, 'message-cancelled', job);
+    res.json({ success: true, ...job });
+  } catch (error) {
+    logger.error(`Error cancelling scheduled message ${req.params.jobId}:`, error);
+    res.status(500).json({ error: 'Failed to cancel scheduled message', message: error.message });
+  }
+});
 
 // Send buttons
-app.post('/api/send-buttons', requireAuth, messageLimiter, upload.single('media'), async (req, res) => {
+app.post('/api/send-buttons', requireAuth, messageLimiter, upload.single('media'), sendIdempotency, async (req, res) => {
   try {
-    const { account_id, number, body, title, footer } = req.body;
+    const { account_id, number, body, title, footer, send_at, timezone, quoted_message_id } = req.body;
     let { buttons } = req.body;
     const file = req.file;
 
@@ -1071,6 +2052,11 @@ app.post('/api/send-buttons', requireAuth, messageLimiter, upload.single('media'
       return res.status(400).json({ error: 'Missing required fields: account_id, number, buttons' });
     }
 
+    const schedule = resolveSendAt(send_at, timezone);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
     // Parse buttons if it's a string (when using FormData)
     if (typeof buttons === 'string') {
       try {
@@ -1094,7 +2080,20 @@ app.post('/api/send-buttons', requireAuth, messageLimiter, upload.single('media'
     // If media is present, whatsappManager uses media as content. 
     // For text AND media, body might be ignored unless passed as title/footer.
 
-    const result = await whatsappManager.sendButtons(account_id, number, body, buttons, title, footer, media);
+    const options = quoted_message_id ? { quotedMessageId: quoted_message_id } : {};
+
+    if (schedule.value.sendAt) {
+      if (quoted_message_id) {
+        await whatsappManager.getQuotedMessage(account_id, quoted_message_id);
+      }
+      const job = await outboundMessageService.enqueue(account_id, 'buttons', number, {
+        body, buttons, title, footer, media, options
+      }, schedule.value);
+      emitToAccount(account_id, 'message-queued', job);
+      return res.status(202).json({ success: true, ...job });
+    }
+
+    const result = await whatsappManager.sendButtons(account_id, number, body, buttons, title, footer, media, options);
 
     // Emit socket event
     emitToAccount(account_id, 'message-sent', result);
@@ -1102,20 +2101,38 @@ app.post('/api/send-buttons', requireAuth, messageLimiter, upload.single('media'
     res.json(result);
   } catch (error) {
     logger.error('Error sending buttons:', error);
-    res.status(500).json({ error: 'Failed to send buttons', message: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to send buttons', code: error.code, message: error.message });
   }
 });
 
 // Send list
-app.post('/api/send-list', requireAuth, messageLimiter, async (req, res) => {
+app.post('/api/send-list', requireAuth, messageLimiter, sendIdempotency, async (req, res) => {
   try {
-    const { account_id, number, body, button_text, sections, title, footer } = req.body;
+    const { account_id, number, body, button_text, sections, title, footer, send_at, timezone, quoted_message_id } = req.body;
 
     if (!account_id || !number || !body || !button_text || !sections) {
       return res.status(400).json({ error: 'Missing required fields: account_id, number, body, button_text, sections' });
     }
 
-    const result = await whatsappManager.sendList(account_id, number, body, button_text, sections, title, footer);
+    const schedule = resolveSendAt(send_at, timezone);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    const options = quoted_message_id ? { quotedMessageId: quoted_message_id } : {};
+
+    if (schedule.value.sendAt) {
+      if (quoted_message_id) {
+        await whatsappManager.getQuotedMessage(account_id, quoted_message_id);
+      }
+      const job = await outboundMessageService.enqueue(account_id, 'list', number, {
+        body, buttonText: button_text, sections, title, footer, options
+      }, schedule.value);
+      emitToAccount(account_id, 'message-queued', job);
+      return res.status(202).json({ success: true, ...job });
+    }
+
+    const result = await whatsappManager.sendList(account_id, number, body, button_text, sections, title, footer, options);
 
     // Emit socket event
     emitToAccount(account_id, 'message-sent', result);
@@ -1123,7 +2140,7 @@ app.post('/api/send-list', requireAuth, messageLimiter, async (req, res) => {
     res.json(result);
   } catch (error) {
     logger.error('Error sending list:', error);
-    res.status(500).json({ error: 'Failed to send list', message: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to send list', code: error.code, message: error.message });
   }
 });
 
@@ -1146,20 +2163,11 @@ setInterval(() => {
   }
 }, 300000);
 
-// Webhook reply (authenticated via webhook secret)
-app.post('/api/webhook-reply', messageLimiter, validate(schemas.webhookReply), async (req, res) => {
+// Authenticate webhook replies by the account's webhook secret.
+// Runs before sendIdempotency so unauthenticated callers can't touch the account's keys
+async function requireWebhookSecret(req, res, next) {
   try {
-    const { account_id, number, message, webhook_secret, media, caption, buttons, list, title, footer } = req.body;
-    const isN8n = req.headers['user-agent']?.includes('n8n') || req.query.source === 'n8n';
-
-    // Validate at least message, media, buttons, or list is provided
-    if (!message && (!media || (!media.data && !media.url)) && !buttons && !list) {
-      return res.status(400).json({
-        error: 'Either message text, media (with data or url), buttons, or list is required'
-      });
-    }
-
-    // Verify webhook secret
+    const { account_id, webhook_secret } = req.body;
     const webhooks = await db.getWebhooks(account_id);
 
     if (!webhooks || webhooks.length === 0) {
@@ -1175,6 +2183,26 @@ app.post('/api/webhook-reply', messageLimiter, validate(schemas.webhookReply), a
       return res.status(401).json({ error: 'Invalid webhook secret' });
     }
 
+    next();
+  } catch (error) {
+    logger.error('Webhook secret auth error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+// Webhook reply (authenticated via webhook secret)
+app.post('/api/webhook-reply', messageLimiter, validate(schemas.webhookReply), requireWebhookSecret, sendIdempotency, async (req, res) => {
+  try {
+    const { account_id, number, message, media, caption, buttons, list, title, footer, quoted_message_id } = req.body;
+    const isN8n = req.headers['user-agent']?.includes('n8n') || req.query.source === 'n8n';
+
+    // Validate at least message, media, buttons, or list is provided
+    if (!message && (!media || (!media.data && !media.url)) && !buttons && !list) {
+      return res.status(400).json({
+        error: 'Either message text, media (with data or url), buttons, or list is required'
+      });
+    }
+
     // =========================================================================
     // LOOP PROTECTION: Prevent webhook feedback loops
     // If same account+number gets too many replies in a short window, block it
@@ -1199,38 +2227,41 @@ app.post('/api/webhook-reply', messageLimiter, validate(schemas.webhookReply), a
       }
     }
 
-    // Determine which send function to use
-    const getSendPromise = () => {
+    // Determine which send to use - same shape as outbound queue jobs
+    const quoteOptions = quoted_message_id ? { quotedMessageId: quoted_message_id } : {};
+    const buildJob = () => {
       // Priority: buttons > list > media > text
       if (buttons && Array.isArray(buttons)) {
         const mediaObj = media && (media.data || media.url) ? media : null;
-        return whatsappManager.sendButtons(account_id, number, message || '', buttons, title || '', footer || '', mediaObj);
+        return { type: 'buttons', payload: { body: message || '', buttons, title: title || '', footer: footer || '', media: mediaObj, options: quoteOptions } };
       }
       if (list && list.sections) {
-        return whatsappManager.sendList(account_id, number, message || '', list.buttonText || 'Menu', list.sections, title || '', footer || '');
+        return { type: 'list', payload: { body: message || '', buttonText: list.buttonText || 'Menu', sections: list.sections, title: title || '', footer: footer || '', options: quoteOptions } };
       }
       if (media && (media.data || media.url) && media.mimetype) {
-        return whatsappManager.sendMedia(account_id, number, media, caption || message || '');
+        return { type: 'media', payload: { media, caption: caption || message || '', options: quoteOptions } };
       }
-      return whatsappManager.sendMessage(account_id, number, message);
+      return { type: 'text', payload: { message, options: { ...quoteOptions, skipDuplicateCheck: !!req.idempotencyKey } } };
     };
+    const { type, payload } = buildJob();
 
-    // For n8n requests, respond immediately and process in background
+    // n8n requests get an immediate answer: queue the reply and return the job ID,
+    // so an Idempotency-Key replay reports the job's real status and message_id
     if (isN8n) {
-      res.json({ status: 'pending', message: 'Message queued for delivery' });
-
-      // Process in background
-      getSendPromise()
-        .then(result => logger.info(`Background message sent: ${result.success}`))
-        .catch(err => logger.error(`Background message error:`, err));
+      if (quoted_message_id) {
+        await whatsappManager.getQuotedMessage(account_id, quoted_message_id);
+      }
+      const job = await outboundMessageService.enqueue(account_id, type, number, payload);
+      emitToAccount(account_id, 'message-queued', job);
+      res.status(202).json({ success: true, ...job });
     } else {
       // For regular clients, wait for result
-      const result = await getSendPromise();
+      const result = await outboundMessageService.dispatch({ account_id, recipient: number, message_type: type, payload });
       res.json(result);
     }
   } catch (error) {
     logger.error('Error sending webhook reply:', error);
-    res.status(500).json({ error: 'Failed to send message', message: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to send message', code: error.code, message: error.message });
   }
 });
 
@@ -1597,6 +2628,13 @@ async function initializeApp() {
       logger.error('Run the schema.sql file in Supabase SQL Editor to create the wa_messages table.');
     }
 
+    // Media storage must be up before accounts start receiving messages
+    try {
+      await mediaStorageService.start();
+    } catch (error) {
+      logger.error('Failed to start MediaStorageService:', error);
+    }
+
     // Initialize existing accounts from Supabase
     await whatsappManager.initializeExistingAccounts();
     
@@ -1607,6 +2645,13 @@ async function initializeApp() {
       logger.error('Failed to start WebhookDeliveryService:', error);
     }
 
+    // Start outbound message worker
+    try {
+      await outboundMessageService.start();
+    } catch (error) {
+      logger.error('Failed to start OutboundMessageService:', error);
+    }
+
     logger.info('System initialized successfully!');
   } catch (error) {
     logger.error('Error initializing app:', error);
@@ -1723,6 +2768,18 @@ const shutdown = async (signal) => {
     logger.error('Error stopping WebhookDeliveryService:', error);
   }
 
+  try {
+    outboundMessageService.stop();
+  } catch (error) {
+    logger.error('Error stopping OutboundMessageService:', error);
+  }
+
+  try {
+    mediaStorageService.stop();
+  } catch (error) {
+    logger.error('Error stopping MediaStorageService:', error);
+  }
+
   stopKeepAlivePing();
 
   // Close all WhatsApp clients first
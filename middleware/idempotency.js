@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { db, MissingIdempotencyTableError } = require('../config/database');
+require('dotenv').config();
+
+const IDEMPOTENCY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 3600000;
+// A request still 'processing' after this long is assumed dead and its key can be taken over
+const PROCESSING_TIMEOUT_MS = (parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES, 10) || 5) * 60000;
+const MAX_KEY_LENGTH = 255;
+
+let tableMissing = false;
+
+// Fingerprint of the request, so a key reused for a different request is rejected
+const hashRequest = (req) => {
+  const hash = crypto.createHash('sha256');
+  hash.update(`${req.method} ${req.path}\n`);
+  hash.update(JSON.stringify(req.body || {}));
+  if (req.file?.buffer) {
+    hash.update(req.file.buffer);
+  }
+  return hash.digest('hex');
+};
+
+const reserveKey = (accountId, key, req, requestHash) => db.reserveIdempotencyKey({
+  accountId,
+  key,
+  endpoint: req.path,
+  requestHash,
+  expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_MS).toISOString()
+});
+
+/**
+ * Idempotency-Key support for send endpoints.
+ * The first request with a key runs normally and its 2xx response is stored;
+ * retries with the same key get that response back without sending again.
+ * Must run after authentication and body parsing, so the account ID is known.
+ * @param {object} options - { refresh: async (body, accountId) => body } to update a replayed response
+ */
+const idempotency = (options = {}) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    const accountId = req.apiAccount?.id || req.body?.account_id;
+
+    if (!key || !accountId || tableMissing) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const requestHash = hashRequest(req);
+    let reservation;
+
+    try {
+      reservation = await reserveKey(accountId, key, req, requestHash);
+
+      // Expired but not purged yet - the key is free again
+      if (!reservation.reserved && new Date(reservation.existing.expires_at) < new Date()) {
+        await db.releaseIdempotencyKey(accountId, key);
+        reservation = await reserveKey(accountId, key, req, requestHash);
+      }
+
+      // Same request stuck in 'processing' (crashed mid-send) - let this retry run it
+      if (!reservation.reserved &&
+          reservation.existing.status === 'processing' &&
+          reservation.existing.request_hash === requestHash) {
+        const staleBefore = new Date(Date.now() - PROCESSING_TIMEOUT_MS).toISOString();
+        if (await db.takeOverIdempotencyKey(accountId, key, staleBefore)) {
+          logger.warn(`[Idempotency] Took over stale key ${key.slice(0, 20)} (${accountId})`);
+          reservation = { reserved: true };
+        }
+      }
+    } catch (error) {
+      if (error instanceof MissingIdempotencyTableError) {
+        tableMissing = true;
+        logger.error('Idempotency-Key support disabled: missing database table idempotency_keys. Apply the latest schema.sql.');
+        return next();
+      }
+      logger.error('Idempotency check error:', error);
+      return res.status(500).json({ error: 'Failed to check Idempotency-Key', message: error.message });
+    }
+
+    if (!reservation.reserved) {
+      const { existing } = reservation;
+
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+      }
+
+      if (existing.status !== 'completed') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      let body = existing.response_body;
+      if (options.refresh) {
+        try {
+          body = await options.refresh(body, accountId);
+        } catch (error) {
+          logger.warn(`Could not refresh idempotent response: ${error.message}`);
+        }
+      }
+
+      logger.info(`[Idempotency] Replayed response for key ${key.slice(0, 20)} (${accountId})`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(body);
+    }
+
+    req.idempotencyKey = key;
+
+    // Persist from res.json itself - a client that gave up must still find the result on retry
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode;
+      const persist = status >= 200 && status < 300
+        ? db.completeIdempotencyKey(accountId, key, status, body)
+        : db.releaseIdempotencyKey(accountId, key);
+
+      persist.catch(error => logger.error(`Failed to persist Idempotency-Key ${key.slice(0, 20)}:`, error));
+      return originalJson(body);
+    };
+
+    next();
+  };
+};
+
+// Purge expired keys every hour (unref'd - must not keep scripts that import this alive)
+setInterval(async () => {
+  if (tableMissing) return;
+  try {
+    const deleted = await db.deleteExpiredIdempotencyKeys();
+    if (deleted > 0) {
+      logger.info(`[Idempotency] Purged ${deleted} expired keys`);
+    }
+  } catch (error) {
+    if (error instanceof MissingIdempotencyTableError) {
+      tableMissing = true;
+    }
+  }
+}, 3600000).unref();
+
+module.exports = {
+  idempotency
+};
@@ -123,6 +123,16 @@ function setupSocketListeners() {
         console.log('Message received:', data);
         debouncedLoadStats();
     });
+
+    // Blocked/unblocked via the API or on the phone - refresh the open blocklist
+    const refreshBlocklist = (data) => {
+        const modal = document.getElementById('blocklistModal');
+        if (modal?.classList.contains('active') && document.getElementById('blocklistAccountId').value === data.accountId) {
+            loadBlocklist(data.accountId);
+        }
+    };
+    socket.on('contact_blocked', refreshBlocklist);
+    socket.on('contact_unblocked', refreshBlocklist);
 }
 
 // Setup Event Listeners
@@ -302,6 +312,36 @@ function setupEventListeners() {
         createWebhookForm.addEventListener('submit', handleCreateWebhook);
     }
 
+    // Number Settings: add form, CSV import and per-contact toggles
+    const addNumberSettingsForm = document.getElementById('addNumberSettingsForm');
+    if (addNumberSettingsForm) {
+        addNumberSettingsForm.addEventListener('submit', handleAddNumberSettings);
+    }
+
+    const numberSettingsCsv = document.getElementById('numberSettingsCsv');
+    if (numberSettingsCsv) {
+        numberSettingsCsv.addEventListener('change', handleImportNumberSettings);
+    }
+
+    document.addEventListener('change', (e) => {
+        const toggle = e.target.closest('input[data-number-setting]');
+        if (toggle) {
+            updateNumberSetting(toggle);
+        }
+    });
+
+    // Add Suppression Form
+    const addSuppressionForm = document.getElementById('addSuppressionForm');
+    if (addSuppressionForm) {
+        addSuppressionForm.addEventListener('submit', handleAddSuppression);
+    }
+
+    // Block Contact Form
+    const blockContactForm = document.getElementById('blockContactForm');
+    if (blockContactForm) {
+        blockContactForm.addEventListener('submit', handleBlockContact);
+    }
+
     // Add Webhook Button
     document.addEventListener('click', (e) => {
         if (e.target.closest('#addWebhookBtn')) {
@@ -414,6 +454,24 @@ function setupEventListeners() {
                 case 'chatbot':
                     openChatbotModal(accountId);
                     break;
+                case 'number-settings':
+                    openNumberSettingsModal(accountId);
+                    break;
+                case 'delete-number-settings':
+                    deleteNumberSettings(accountId, actionBtn.getAttribute('data-number'));
+                    break;
+                case 'suppressions':
+                    openSuppressionsModal(accountId);
+                    break;
+                case 'delete-suppression':
+                    deleteSuppression(accountId, actionBtn.getAttribute('data-number'));
+                    break;
+                case 'blocklist':
+                    openBlocklistModal(accountId);
+                    break;
+                case 'unblock-contact':
+                    unblockContact(accountId, actionBtn.getAttribute('data-number'));
+                    break;
                 case 'delete':
                     deleteAccount(accountId);
                     break;
@@ -669,6 +727,15 @@ function renderAccountsTable() {
                     <button class="btn-action" data-action="webhooks" data-account-id="${account.id || account.account_id}" title="Manage Webhooks">
                         <i class="fas fa-plug"></i>
                     </button>
+                    <button class="btn-action" data-action="number-settings" data-account-id="${account.id || account.account_id}" title="Contact Settings">
+                        <i class="fas fa-address-book"></i>
+                    </button>
+                    <button class="btn-action" data-action="suppressions" data-account-id="${account.id || account.account_id}" title="Opt-outs">
+                        <i class="fas fa-ban"></i>
+                    </button>
+                    <button class="btn-action" data-action="blocklist" data-account-id="${account.id || account.account_id}" title="Blocked Contacts">
+                        <i class="fas fa-user-slash"></i>
+                    </button>
                     <button class="btn-action" data-action="chatbot" data-account-id="${account.id || account.account_id}" title="Configure Chatbot">
                         <i class="fas fa-robot"></i>
                     </button>
@@ -775,6 +842,15 @@ function filterAccounts(searchTerm) {
                     <button class="btn-action" data-action="webhooks" data-account-id="${account.id || account.account_id}" title="Manage Webhooks">
                         <i class="fas fa-plug"></i>
                     </button>
+                    <button class="btn-action" data-action="number-settings" data-account-id="${account.id || account.account_id}" title="Contact Settings">
+                        <i class="fas fa-address-book"></i>
+                    </button>
+                    <button class="btn-action" data-action="suppressions" data-account-id="${account.id || account.account_id}" title="Opt-outs">
+                        <i class="fas fa-ban"></i>
+                    </button>
+                    <button class="btn-action" data-action="blocklist" data-account-id="${account.id || account.account_id}" title="Blocked Contacts">
+                        <i class="fas fa-user-slash"></i>
+                    </button>
                     <button class="btn-action" data-action="chatbot" data-account-id="${account.id || account.account_id}" title="Configure Chatbot">
                         <i class="fas fa-robot"></i>
                     </button>
@@ -1339,7 +1415,7 @@ async function handleSendMessage(e) {
             throw new Error(data.error || data.message || 'Failed to send message');
         }
 
-        showAlert('Message sent successfully!', 'success');
+        showAlert(response.status === 202 ? 'Message queued for delivery!' : 'Message sent successfully!', 'success');
         closeModal('sendMessageModal');
         document.getElementById('sendMessageForm').reset();
         
@@ -1449,6 +1525,10 @@ function renderWebhooksList(accountId) {
             if (hasAcks) {
                 eventBadgesHtml += '<span class="event-badge ack" style="margin-right: 4px;" title="Sent ✓ / Delivered ✓✓ / Read (blue ✓✓) status updates"><i class="fas fa-check-double"></i> Seen/Delivered</span>';
             }
+            // Any other subscribed event types (reaction, ...)
+            events.filter(event => event !== 'message' && event !== 'message_ack').forEach(event => {
+                eventBadgesHtml += `<span class="event-badge other" style="margin-right: 4px;"><i class="fas fa-bolt"></i> ${event.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</span>`;
+            });
         }
         
         return `
@@ -1492,9 +1572,8 @@ async function handleCreateWebhook(e) {
     const isActive = document.getElementById('webhookActive').checked;
     
     // Collect selected events
-    const events = [];
-    if (document.getElementById('eventMessage').checked) events.push('message');
-    if (document.getElementById('eventMessageAck').checked) events.push('message_ack');
+    const events = Array.from(document.querySelectorAll('input[name="webhookEvent"]:checked'))
+        .map(input => input.value);
 
     if (!accountId || !url) {
         showAlert('Please fill in all required fields', 'error');
@@ -1599,6 +1678,382 @@ async function deleteWebhook(webhookId, accountId) {
     }
 }
 
+// Number Settings (per-contact webhook / chatbot switches)
+async function openNumberSettingsModal(accountId) {
+    openModal('numberSettingsModal');
+    document.getElementById('numberSettingsAccountId').value = accountId;
+
+    await loadNumberSettings(accountId);
+}
+
+async function loadNumberSettings(accountId) {
+    const tbody = document.getElementById('numberSettingsTableBody');
+
+    try {
+        const response = await fetch(`/api/accounts/${accountId}/number-settings`, {
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to fetch number settings');
+
+        if (data.settings.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: var(--text-secondary); padding: 20px;">No contact settings - everything is enabled for all contacts</td></tr>';
+            return;
+        }
+
+        const escape = (text) => String(text || '').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const toggle = (entry, field) => `
+            <label class="toggle-switch">
+                <input type="checkbox" data-number-setting="${field}" data-account-id="${accountId}" data-number="${escape(entry.phone_number)}" ${entry[field] !== false ? 'checked' : ''}>
+                <span class="slider"></span>
+            </label>`;
+
+        tbody.innerHTML = data.settings.map(entry => `
+            <tr>
+                <td><strong>${escape(entry.phone_number)}</strong></td>
+                <td>${toggle(entry, 'webhook_enabled')}</td>
+                <td>${toggle(entry, 'chatbot_enabled')}</td>
+                <td style="font-size: 12px; color: var(--text-secondary);">${escape(entry.notes)}</td>
+                <td>
+                    <button class="btn-action danger" data-action="delete-number-settings" data-account-id="${accountId}" data-number="${escape(entry.phone_number)}" title="Remove (back to defaults)">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+
+    } catch (error) {
+        console.error('Error loading number settings:', error);
+        showAlert(error.message, 'error');
+    }
+}
+
+async function updateNumberSetting(input) {
+    const accountId = input.getAttribute('data-account-id');
+    const number = input.getAttribute('data-number');
+    const field = input.getAttribute('data-number-setting');
+
+    input.disabled = true;
+    try {
+        const response = await fetch(`/api/accounts/${accountId}/number-settings/${encodeURIComponent(number)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ [field]: input.checked })
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to update number settings');
+
+        showAlert(`${field === 'webhook_enabled' ? 'Webhook' : 'Chatbot'} ${input.checked ? 'enabled' : 'disabled'} for ${number}`, 'success');
+
+    } catch (error) {
+        console.error('Error updating number settings:', error);
+        showAlert(error.message, 'error');
+        input.checked = !input.checked;
+    } finally {
+        input.disabled = false;
+    }
+}
+
+async function handleAddNumberSettings(e) {
+    e.preventDefault();
+
+    const accountId = document.getElementById('numberSettingsAccountId').value;
+    const number = document.getElementById('numberSettingsNumber').value.trim();
+    const notes = document.getElementById('numberSettingsNotes').value.trim();
+    if (!accountId || !number) return;
+
+    try {
+        const response = await fetch(`/api/accounts/${accountId}/number-settings`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ phone_number: number, notes })
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to save number settings');
+
+        showAlert(`${data.phone_number} added - use the toggles to turn webhook or chatbot off`, 'success');
+        e.target.reset();
+        await loadNumberSettings(accountId);
+
+    } catch (error) {
+        console.error('Error adding number settings:', error);
+        showAlert(error.message, 'error');
+    }
+}
+
+async function handleImportNumberSettings(e) {
+    const file = e.target.files[0];
+    const accountId = document.getElementById('numberSettingsAccountId').value;
+    if (!file || !accountId) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+        const response = await fetch(`/api/accounts/${accountId}/number-settings/import`, {
+            method: 'POST',
+            credentials: 'include',
+            body: formData
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            const firstError = data.errors?.[0];
+            throw new Error(firstError ? `${data.error} (line ${firstError.line}: ${firstError.error})` : (data.error || 'Import failed'));
+        }
+
+        showAlert(`Imported ${data.imported} contacts${data.skipped ? `, skipped ${data.skipped} invalid rows` : ''}`, data.skipped ? 'warning' : 'success');
+        await loadNumberSettings(accountId);
+
+    } catch (error) {
+        console.error('Error importing number settings:', error);
+        showAlert(error.message, 'error');
+    } finally {
+        e.target.value = '';
+    }
+}
+
+async function deleteNumberSettings(accountId, number) {
+    if (!confirm(`Remove the settings for ${number}? Webhook and chatbot will be enabled again.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/accounts/${accountId}/number-settings/${encodeURIComponent(number)}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Failed to delete number settings');
+        }
+
+        showAlert(`Settings for ${number} removed`, 'success');
+        await loadNumberSettings(accountId);
+
+    } catch (error) {
+        console.error('Error deleting number settings:', error);
+        showAlert(error.message, 'error');
+    }
+}
+
+// Suppression List (opt-outs)
+async function openSuppressionsModal(accountId) {
+    openModal('suppressionsModal');
+    document.getElementById('suppressionAccountId').value = accountId;
+
+    await loadSuppressions(accountId);
+}
+
+async function loadSuppressions(accountId) {
+    const list = document.getElementById('suppressionsList');
+
+    try {
+        const response = await fetch(`/api/accounts/${accountId}/suppressions`, {
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to fetch suppression list');
+
+        if (data.suppressions.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-ban empty-icon"></i>
+                    <p>No opted-out numbers</p>
+                </div>
+            `;
+            return;
+        }
+
+        const escape = (text) => String(text || '').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const sourceLabels = { keyword: 'Replied', dashboard: 'Dashboard', api: 'API' };
+
+        list.innerHTML = data.suppressions.map(entry => `
+        <div style="padding: 12px 15px; background: rgba(255, 255, 255, 0.03); border-radius: 8px; margin-bottom: 8px; border: 1px solid var(--border-color); display: flex; justify-content: space-between; align-items: center; gap: 15px;">
+            <div style="flex: 1;">
+                <div style="font-weight: 600;">${escape(entry.phone)}</div>
+                <div style="font-size: 12px; color: var(--text-secondary);">
+                    ${sourceLabels[entry.source] || escape(entry.source)}${entry.keyword ? ` "${escape(entry.keyword)}"` : ''}
+                    ${entry.reason && entry.source !== 'keyword' ? ` · ${escape(entry.reason)}` : ''}
+                    · ${formatDate(entry.created_at)}
+                </div>
+            </div>
+            <button class="btn-action danger" data-action="delete-suppression" data-account-id="${accountId}" data-number="${escape(entry.phone)}" title="Remove (resubscribe)">
+                <i class="fas fa-undo"></i>
+            </button>
+        </div>
+        `).join('');
+
+    } catch (error) {
+        console.error('Error loading suppression list:', error);
+        showAlert(error.message, 'error');
+    }
+}
+
+async function handleAddSuppression(e) {
+    e.preventDefault();
+
+    const accountId = document.getElementById('suppressionAccountId').value;
+    const number = document.getElementById('suppressionNumber').value.trim();
+    const reason = document.getElementById('suppressionReason').value.trim();
+    if (!accountId || !number) return;
+
+    try {
+        const response = await fetch(`/api/accounts/${accountId}/suppressions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ numbers: [number], reason })
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to add to suppression list');
+
+        showAlert(data.added ? 'Number suppressed' : 'Number was already suppressed', 'success');
+        e.target.reset();
+        await loadSuppressions(accountId);
+
+    } catch (error) {
+        console.error('Error adding suppression:', error);
+        showAlert(error.message, 'error');
+    }
+}
+
+async function deleteSuppression(accountId, number) {
+    if (!confirm(`Remove ${number} from the opt-out list? Messages to this number will be allowed again.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/accounts/${accountId}/suppressions/${encodeURIComponent(number)}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Failed to remove from suppression list');
+        }
+
+        showAlert(`${number} removed from the opt-out list`, 'success');
+        await loadSuppressions(accountId);
+
+    } catch (error) {
+        console.error('Error removing suppression:', error);
+        showAlert(error.message, 'error');
+    }
+}
+
+// Blocklist (blocked on WhatsApp)
+async function openBlocklistModal(accountId) {
+    openModal('blocklistModal');
+    document.getElementById('blocklistAccountId').value = accountId;
+
+    await loadBlocklist(accountId);
+}
+
+async function loadBlocklist(accountId) {
+    const list = document.getElementById('blocklistList');
+
+    try {
+        const response = await fetch(`/api/accounts/${accountId}/blocklist`, {
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || data.error || 'Failed to fetch blocklist');
+
+        if (data.numbers.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-user-slash empty-icon"></i>
+                    <p>No blocked contacts</p>
+                </div>
+            `;
+            return;
+        }
+
+        const escape = (text) => String(text || '').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        list.innerHTML = data.numbers.map(number => `
+        <div style="padding: 12px 15px; background: rgba(255, 255, 255, 0.03); border-radius: 8px; margin-bottom: 8px; border: 1px solid var(--border-color); display: flex; justify-content: space-between; align-items: center; gap: 15px;">
+            <div style="flex: 1; font-weight: 600;">${escape(number)}</div>
+            <button class="btn-action danger" data-action="unblock-contact" data-account-id="${accountId}" data-number="${escape(number)}" title="Unblock">
+                <i class="fas fa-undo"></i>
+            </button>
+        </div>
+        `).join('');
+
+    } catch (error) {
+        console.error('Error loading blocklist:', error);
+        showAlert(error.message, 'error');
+    }
+}
+
+async function handleBlockContact(e) {
+    e.preventDefault();
+
+    const accountId = document.getElementById('blocklistAccountId').value;
+    const number = document.getElementById('blockContactNumber').value.trim();
+    if (!accountId || !number) return;
+
+    try {
+        const response = await fetch(`/api/accounts/${accountId}/contacts/${encodeURIComponent(number)}/block`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || data.error || 'Failed to block contact');
+
+        showAlert(`${data.number} blocked`, 'success');
+        e.target.reset();
+        await loadBlocklist(accountId);
+
+    } catch (error) {
+        console.error('Error blocking contact:', error);
+        showAlert(error.message, 'error');
+    }
+}
+
+async function unblockContact(accountId, number) {
+    if (!confirm(`Unblock ${number}? They will be able to message and call this number again.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/accounts/${accountId}/contacts/${encodeURIComponent(number)}/unblock`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.message || data.error || 'Failed to unblock contact');
+        }
+
+        showAlert(`${number} unblocked`, 'success');
+        await loadBlocklist(accountId);
+
+    } catch (error) {
+        console.error('Error unblocking contact:', error);
+        showAlert(error.message, 'error');
+    }
+}
+
 // Get Message Stats
 async function getMessageStats() {
     try {
@@ -1979,6 +2434,7 @@ async function loadAllMessages() {
     try {
         const response = await fetch('/api/messages?limit=50', { credentials: 'include' });
         const messages = await response.json();
+        if (!response.ok) throw new Error(messages.error || 'Failed to load messages');
         
         if (messages.length === 0) {
             container.innerHTML = '<div style="text-align: center; padding: 40px;"><i class="fas fa-inbox" style="font-size: 48px; opacity: 0.3;"></i><p style="margin-top: 15px;">No messages found</p></div>';
@@ -1988,8 +2444,8 @@ async function loadAllMessages() {
         let html = '';
         messages.forEach(msg => {
             const direction = msg.direction || 'unknown';
-            const from = msg.sender || msg.from_number || msg.to_number || 'Unknown';
-            const text = msg.body || msg.message || msg.caption || 'No text';
+            const from = (direction === 'outgoing' ? msg.recipient : msg.sender) || msg.chat_id || 'Unknown';
+            const text = (msg.message || `[${msg.type || 'No text'}]`).replace(/</g, '&lt;').replace(/>/g, '&gt;');
             const date = formatDate(msg.created_at);
             
             // Find account name
@@ -54,10 +54,9 @@ CREATE TABLE IF NOT EXISTS webhooks (
 COMMENT ON TABLE webhooks IS 'Webhook configurations for message forwarding';
 
 -- ============================================================================
--- Message Logs Table (DEPRECATED - NOT USED IN CODE)
--- This table was designed for message activity logging but is not currently
--- used by the application. It's kept for backwards compatibility with existing
--- database views and functions. You can safely DROP this table if not needed.
+-- Message Logs Table
+-- Incoming and outgoing message history behind the chats API
+-- (GET /api/accounts/:id/chats). Turned off with DISABLE_MESSAGE_LOGGING=true.
 -- ============================================================================
 
 CREATE TABLE IF NOT EXISTS message_logs (
@@ -82,10 +81,14 @@ CREATE TABLE IF NOT EXISTS message_logs (
     processing_time_ms INTEGER,
     retry_count INTEGER DEFAULT 0,
     metadata JSONB DEFAULT '{}',
+    read_at TIMESTAMP WITH TIME ZONE, -- incoming messages: NULL = unread
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
-COMMENT ON TABLE message_logs IS 'Message activity logs (can be disabled via DISABLE_MESSAGE_LOGGING env var)';
+COMMENT ON TABLE message_logs IS 'Message history behind the chats API (can be disabled via DISABLE_MESSAGE_LOGGING env var)';
+
+-- Existing deployments already have message_logs, so CREATE TABLE above won't add it
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE;
 
 -- Webhook Delivery Queue
 CREATE TABLE IF NOT EXISTS webhook_delivery_queue (
@@ -107,6 +110,163 @@ CREATE TABLE IF NOT EXISTS webhook_delivery_queue (
 
 COMMENT ON TABLE webhook_delivery_queue IS 'Durable webhook delivery queue with retries';
 
+-- Outbound Message Queue
+CREATE TABLE IF NOT EXISTS outbound_message_queue (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    message_type VARCHAR(20) NOT NULL CHECK (message_type IN ('text', 'media', 'sticker', 'buttons', 'list', 'location', 'contact', 'poll')),
+    recipient VARCHAR(255) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'cancelled')),
+    send_at TIMESTAMP WITH TIME ZONE, -- NULL = send as soon as possible, otherwise a scheduled message
+    timezone VARCHAR(64), -- IANA timezone the schedule was requested in (display only)
+    attempt_count INTEGER DEFAULT 0,
+    max_retries INTEGER DEFAULT 3,
+    last_error TEXT,
+    wa_message_id VARCHAR(255),
+    result JSONB,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE outbound_message_queue IS 'Durable outbound message queue - /api/send jobs and scheduled messages processed by a per-account worker';
+
+-- Idempotency Keys (safe client retries on send endpoints)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    endpoint VARCHAR(100) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    processing_started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    response_status INTEGER,
+    response_body JSONB,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(account_id, idempotency_key)
+);
+
+COMMENT ON TABLE idempotency_keys IS 'Idempotency-Key header -> stored response, so client retries never send twice';
+
+-- Existing deployments already have idempotency_keys, so CREATE TABLE above won't add it
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS processing_started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Poll Votes (latest selection per voter, decrypted from poll updates)
+CREATE TABLE IF NOT EXISTS poll_votes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    poll_message_id VARCHAR(255) NOT NULL,
+    chat_id VARCHAR(255),
+    voter VARCHAR(255) NOT NULL,
+    selected_options JSONB NOT NULL DEFAULT '[]', -- empty = vote withdrawn
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(account_id, poll_message_id, voter)
+);
+
+COMMENT ON TABLE poll_votes IS 'Current poll selection of each voter - tallied by GET /api/polls/:messageId/results';
+
+-- Message Templates (reusable content with {{variable}} placeholders)
+CREATE TABLE IF NOT EXISTS message_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    type VARCHAR(20) NOT NULL DEFAULT 'text' CHECK (type IN ('text', 'media', 'buttons', 'list')),
+    body TEXT,
+    title VARCHAR(255),
+    footer VARCHAR(255),
+    media JSONB,
+    buttons JSONB,
+    list JSONB,
+    variables JSONB NOT NULL DEFAULT '[]', -- [{ name, default, required, description }]
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(account_id, name)
+);
+
+COMMENT ON TABLE message_templates IS 'Per-account message templates rendered by POST /api/send-template';
+
+-- Message Statuses (delivery/read transitions of sent messages, served by GET /api/messages/:messageId/status)
+CREATE TABLE IF NOT EXISTS message_statuses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    message_id VARCHAR(255) NOT NULL,
+    chat_id VARCHAR(255) NOT NULL,
+    recipient VARCHAR(255) NOT NULL, -- chat_id for the message as a whole, participant phone for group receipts
+    status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'sent', 'delivered', 'read', 'played', 'failed')),
+    status_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(account_id, message_id, recipient, status)
+);
+
+COMMENT ON TABLE message_statuses IS 'First time each status was reached per message and recipient';
+
+-- Account Number Settings (per-contact switches for the incoming pipeline - no row = all enabled)
+CREATE TABLE IF NOT EXISTS account_number_settings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    phone_number VARCHAR(50) NOT NULL, -- digits only; group ID digits for groups
+    webhook_enabled BOOLEAN NOT NULL DEFAULT true,
+    chatbot_enabled BOOLEAN NOT NULL DEFAULT true,
+    flow_enabled BOOLEAN NOT NULL DEFAULT true,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(account_id, phone_number)
+);
+
+COMMENT ON TABLE account_number_settings IS 'Per-number webhook/chatbot switches, managed via /api/accounts/:id/number-settings';
+
+-- Suppression List (numbers that opted out - sends to them are refused with RECIPIENT_SUPPRESSED)
+CREATE TABLE IF NOT EXISTS suppression_list (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    phone VARCHAR(50) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'dashboard' CHECK (source IN ('keyword', 'dashboard', 'api')),
+    keyword VARCHAR(100), -- opt-out keyword the contact sent (source = 'keyword')
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(account_id, phone)
+);
+
+COMMENT ON TABLE suppression_list IS 'Numbers that must not be messaged - checked before every send';
+
+-- Suppression Audit (every opt-out and resubscribe, kept after the number is removed from the list)
+CREATE TABLE IF NOT EXISTS suppression_audit (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    phone VARCHAR(50) NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('suppressed', 'resubscribed')),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('keyword', 'dashboard', 'api')),
+    keyword VARCHAR(100),
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE suppression_audit IS 'Audit trail of suppression list changes';
+
+-- Media Files (incoming media downloaded from WhatsApp, served by GET /api/media/:id)
+CREATE TABLE IF NOT EXISTS media_files (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    message_id VARCHAR(255),
+    storage_backend VARCHAR(50) NOT NULL DEFAULT 'local',
+    storage_key TEXT NOT NULL,
+    mimetype VARCHAR(255),
+    filename VARCHAR(255),
+    size BIGINT,
+    sha256 VARCHAR(64),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE media_files IS 'Stored incoming media - file contents live in the storage backend, purged after MEDIA_RETENTION_DAYS';
+
 -- AI Auto Reply Configuration
 CREATE TABLE IF NOT EXISTS ai_auto_replies (
     account_id UUID PRIMARY KEY REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
@@ -134,6 +294,7 @@ CREATE TABLE IF NOT EXISTS wa_messages (
     message_content JSONB NOT NULL,
     direction VARCHAR(10) NOT NULL CHECK (direction IN ('in', 'out')),
     remote_jid VARCHAR(255),
+    participant VARCHAR(255), -- group sender, needed to quote group messages
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -147,6 +308,9 @@ CREATE UNIQUE INDEX IF NOT EXISTS idx_wa_messages_unique ON wa_messages(account_
 
 COMMENT ON TABLE wa_messages IS 'Stores message content for Baileys getMessage retry support - prevents "Waiting for this message"';
 
+-- Existing deployments already have wa_messages, so CREATE TABLE above won't add it
+ALTER TABLE wa_messages ADD COLUMN IF NOT EXISTS participant VARCHAR(255);
+
 -- Auto-cleanup function for old messages (keep only 24 hours)
 CREATE OR REPLACE FUNCTION cleanup_old_wa_messages()
 RETURNS void AS $$
@@ -201,12 +365,35 @@ CREATE INDEX IF NOT EXISTS idx_message_logs_account_direction_status ON message_
 CREATE INDEX IF NOT EXISTS idx_message_logs_daily_stats ON message_logs(created_at, direction) WHERE sender != 'status@broadcast';
 CREATE INDEX IF NOT EXISTS idx_message_logs_conversation ON message_logs(account_id, sender, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_message_logs_recipient ON message_logs(account_id, recipient, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_message_logs_chat ON message_logs(account_id, chat_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_message_logs_unread ON message_logs(account_id, chat_id) WHERE direction = 'incoming' AND read_at IS NULL;
 
 -- Webhook Delivery Queue
 CREATE INDEX IF NOT EXISTS idx_webhook_delivery_status ON webhook_delivery_queue(status, next_attempt_at);
 CREATE INDEX IF NOT EXISTS idx_webhook_delivery_account ON webhook_delivery_queue(account_id);
 CREATE INDEX IF NOT EXISTS idx_webhook_delivery_webhook ON webhook_delivery_queue(webhook_id);
 
+-- Outbound Message Queue
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_status ON outbound_message_queue(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_account ON outbound_message_queue(account_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_scheduled ON outbound_message_queue(account_id, send_at) WHERE send_at IS NOT NULL;
+
+-- Poll Votes
+CREATE INDEX IF NOT EXISTS idx_poll_votes_poll ON poll_votes(account_id, poll_message_id);
+
+-- Message Statuses
+CREATE INDEX IF NOT EXISTS idx_message_statuses_message ON message_statuses(account_id, message_id);
+
+-- Suppression List
+CREATE INDEX IF NOT EXISTS idx_suppression_audit_phone ON suppression_audit(account_id, phone, created_at DESC);
+
+-- Media Files
+CREATE INDEX IF NOT EXISTS idx_media_files_expires ON media_files(expires_at);
+CREATE INDEX IF NOT EXISTS idx_media_files_message ON media_files(account_id, message_id);
+
+-- Idempotency Keys
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+
 -- AI Auto Replies
 CREATE INDEX IF NOT EXISTS idx_ai_auto_replies_account_id ON ai_auto_replies(account_id);
 CREATE INDEX IF NOT EXISTS idx_ai_auto_replies_is_active ON ai_auto_replies(is_active) WHERE is_active = true;
@@ -220,6 +407,15 @@ ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
 ALTER TABLE message_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE ai_auto_replies ENABLE ROW LEVEL SECURITY;
 ALTER TABLE webhook_delivery_queue ENABLE ROW LEVEL SECURITY;
+ALTER TABLE outbound_message_queue ENABLE ROW LEVEL SECURITY;
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE poll_votes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_statuses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE account_number_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE suppression_list ENABLE ROW LEVEL SECURITY;
+ALTER TABLE suppression_audit ENABLE ROW LEVEL SECURITY;
+ALTER TABLE media_files ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_templates ENABLE ROW LEVEL SECURITY;
 
 -- Allow all operations (customize based on your auth needs)
 CREATE POLICY "Allow all operations on whatsapp_accounts" ON whatsapp_accounts FOR ALL USING (true);
@@ -227,6 +423,15 @@ CREATE POLICY "Allow all operations on webhooks" ON webhooks FOR ALL USING (true
 CREATE POLICY "Allow all operations on message_logs" ON message_logs FOR ALL USING (true);
 CREATE POLICY "Allow all operations on ai_auto_replies" ON ai_auto_replies FOR ALL USING (true);
 CREATE POLICY "Allow all operations on webhook_delivery_queue" ON webhook_delivery_queue FOR ALL USING (true);
+CREATE POLICY "Allow all operations on outbound_message_queue" ON outbound_message_queue FOR ALL USING (true);
+CREATE POLICY "Allow all operations on idempotency_keys" ON idempotency_keys FOR ALL USING (true);
+CREATE POLICY "Allow all operations on poll_votes" ON poll_votes FOR ALL USING (true);
+CREATE POLICY "Allow all operations on message_statuses" ON message_statuses FOR ALL USING (true);
+CREATE POLICY "Allow all operations on account_number_settings" ON account_number_settings FOR ALL USING (true);
+CREATE POLICY "Allow all operations on suppression_list" ON suppression_list FOR ALL USING (true);
+CREATE POLICY "Allow all operations on suppression_audit" ON suppression_audit FOR ALL USING (true);
+CREATE POLICY "Allow all operations on media_files" ON media_files FOR ALL USING (true);
+CREATE POLICY "Allow all operations on message_templates" ON message_templates FOR ALL USING (true);
 
 -- ============================================================================
 -- FUNCTIONS
@@ -319,6 +524,52 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Conversations of an account: last message + unread count per chat
+CREATE OR REPLACE FUNCTION get_account_chats(account_uuid UUID, max_chats INTEGER DEFAULT 50, skip_chats INTEGER DEFAULT 0)
+RETURNS TABLE(
+    chat_id VARCHAR,
+    is_group BOOLEAN,
+    group_name VARCHAR,
+    last_message_id VARCHAR,
+    last_message TEXT,
+    last_message_type VARCHAR,
+    last_direction VARCHAR,
+    last_status VARCHAR,
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    unread_count BIGINT,
+    message_count BIGINT
+) AS $$
+    WITH last_messages AS (
+        SELECT DISTINCT ON (ml.chat_id)
+            ml.chat_id, ml.is_group, ml.group_name, ml.message_id, ml.message,
+            ml.type, ml.direction, ml.status, ml.created_at
+        FROM message_logs ml
+        WHERE ml.account_id = account_uuid
+          AND ml.chat_id IS NOT NULL
+          AND ml.direction IN ('incoming', 'outgoing')
+        ORDER BY ml.chat_id, ml.created_at DESC
+    ),
+    counts AS (
+        SELECT
+            ml.chat_id,
+            COUNT(*) FILTER (WHERE ml.direction = 'incoming' AND ml.read_at IS NULL) AS unread_count,
+            COUNT(*) AS message_count
+        FROM message_logs ml
+        WHERE ml.account_id = account_uuid
+          AND ml.chat_id IS NOT NULL
+          AND ml.direction IN ('incoming', 'outgoing')
+        GROUP BY ml.chat_id
+    )
+    SELECT
+        lm.chat_id, lm.is_group, lm.group_name, lm.message_id, lm.message,
+        lm.type, lm.direction, lm.status, lm.created_at,
+        c.unread_count, c.message_count
+    FROM last_messages lm
+    JOIN counts c ON c.chat_id = lm.chat_id
+    ORDER BY lm.created_at DESC
+    LIMIT max_chats OFFSET skip_chats;
+$$ LANGUAGE sql STABLE;
+
 -- Cleanup old messages (data retention)
 CREATE OR REPLACE FUNCTION cleanup_old_messages(days_to_keep INTEGER DEFAULT 90)
 RETURNS INTEGER AS $$
@@ -378,6 +629,26 @@ CREATE TRIGGER update_webhook_queue_updated_at
     BEFORE UPDATE ON webhook_delivery_queue
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_outbound_queue_updated_at
+    BEFORE UPDATE ON outbound_message_queue
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_idempotency_keys_updated_at
+    BEFORE UPDATE ON idempotency_keys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_poll_votes_updated_at
+    BEFORE UPDATE ON poll_votes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_message_templates_updated_at
+    BEFORE UPDATE ON message_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_account_number_settings_updated_at
+    BEFORE UPDATE ON account_number_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_ai_auto_replies_updated_at 
     BEFORE UPDATE ON ai_auto_replies 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,195 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// In-memory idempotency_keys table in place of Supabase
+class MissingIdempotencyTableError extends Error {}
+const rows = new Map();
+const row = (accountId, key) => rows.get(`${accountId}:${key}`);
+
+const db = {
+  failNextReserve: null,
+
+  async reserveIdempotencyKey({ accountId, key, endpoint, requestHash, expiresAt }) {
+    if (this.failNextReserve) {
+      const error = this.failNextReserve;
+      this.failNextReserve = null;
+      throw error;
+    }
+    const existing = row(accountId, key);
+    if (existing) {
+      return { reserved: false, existing: { ...existing } };
+    }
+    rows.set(`${accountId}:${key}`, {
+      endpoint,
+      request_hash: requestHash,
+      status: 'processing',
+      processing_started_at: new Date().toISOString(),
+      expires_at: expiresAt
+    });
+    return { reserved: true };
+  },
+
+  async completeIdempotencyKey(accountId, key, responseStatus, responseBody) {
+    Object.assign(row(accountId, key), { status: 'completed', response_status: responseStatus, response_body: responseBody });
+  },
+
+  async takeOverIdempotencyKey(accountId, key, staleBefore) {
+    const existing = row(accountId, key);
+    if (existing?.status !== 'processing' || existing.processing_started_at >= staleBefore) {
+      return false;
+    }
+    existing.processing_started_at = new Date().toISOString();
+    return true;
+  },
+
+  async releaseIdempotencyKey(accountId, key) {
+    rows.delete(`${accountId}:${key}`);
+  },
+
+  async deleteExpiredIdempotencyKeys() {
+    return 0;
+  }
+};
+
+const stub = (file, exports) => {
+  const filename = path.join(__dirname, '..', file);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+stub('config/database.js', { db, MissingIdempotencyTableError });
+stub('utils/logger.js', { info() {}, warn() {}, error() {}, debug() {} });
+
+const { idempotency } = require('../middleware/idempotency');
+
+const ACCOUNT = '11111111-1111-4111-8111-111111111111';
+
+const call = async (middleware, { key, body = { number: '919876543210', message: 'hi' } } = {}) => {
+  const req = {
+    method: 'POST',
+    path: '/api/send',
+    body,
+    apiAccount: { id: ACCOUNT },
+    get: (name) => (name === 'Idempotency-Key' ? key : undefined)
+  };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+};
+
+// Runs the route after the middleware let the request through
+const respond = async (res, status, payload) => {
+  res.status(status).json(payload);
+  await new Promise(resolve => setImmediate(resolve));
+};
+
+const middleware = idempotency();
+
+beforeEach(() => rows.clear());
+
+test('requests without a key pass straight through', async () => {
+  const { nextCalled, req } = await call(middleware);
+  assert.equal(nextCalled, true);
+  assert.equal(req.idempotencyKey, undefined);
+  assert.equal(rows.size, 0);
+});
+
+test('keys longer than 255 characters are refused', async () => {
+  const { nextCalled, res } = await call(middleware, { key: 'k'.repeat(256) });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 400);
+});
+
+test('a successful response is stored and replayed on retry', async () => {
+  const first = await call(middleware, { key: 'order-1' });
+  assert.equal(first.nextCalled, true);
+  assert.equal(first.req.idempotencyKey, 'order-1');
+  await respond(first.res, 202, { success: true, job_id: 'job-1' });
+  assert.equal(row(ACCOUNT, 'order-1').status, 'completed');
+
+  const retry = await call(middleware, { key: 'order-1' });
+  assert.equal(retry.nextCalled, false);
+  assert.equal(retry.res.statusCode, 202);
+  assert.deepEqual(retry.res.body, { success: true, job_id: 'job-1' });
+  assert.equal(retry.res.headers['Idempotent-Replayed'], 'true');
+});
+
+test('replays go through the refresh option', async () => {
+  const refreshing = idempotency({ refresh: async (body) => ({ ...body, status: 'sent' }) });
+  const first = await call(refreshing, { key: 'order-2' });
+  await respond(first.res, 202, { job_id: 'job-2', status: 'queued' });
+
+  const retry = await call(refreshing, { key: 'order-2' });
+  assert.deepEqual(retry.res.body, { job_id: 'job-2', status: 'sent' });
+});
+
+test('a key reused for a different request is rejected', async () => {
+  const first = await call(middleware, { key: 'order-3' });
+  await respond(first.res, 202, { job_id: 'job-3' });
+
+  const other = await call(middleware, { key: 'order-3', body: { number: '919876543210', message: 'something else' } });
+  assert.equal(other.nextCalled, false);
+  assert.equal(other.res.statusCode, 422);
+});
+
+test('a retry while the first request is running gets 409', async () => {
+  await call(middleware, { key: 'order-4' });
+
+  const retry = await call(middleware, { key: 'order-4' });
+  assert.equal(retry.nextCalled, false);
+  assert.equal(retry.res.statusCode, 409);
+});
+
+test('a request stuck in processing past the timeout is taken over', async () => {
+  await call(middleware, { key: 'order-5' });
+  row(ACCOUNT, 'order-5').processing_started_at = new Date(Date.now() - 10 * 60000).toISOString();
+
+  const retry = await call(middleware, { key: 'order-5' });
+  assert.equal(retry.nextCalled, true);
+  await respond(retry.res, 202, { job_id: 'job-5' });
+  assert.equal(row(ACCOUNT, 'order-5').status, 'completed');
+});
+
+test('a stuck request with a different body is still rejected', async () => {
+  await call(middleware, { key: 'order-6' });
+  row(ACCOUNT, 'order-6').processing_started_at = new Date(Date.now() - 10 * 60000).toISOString();
+
+  const other = await call(middleware, { key: 'order-6', body: { number: '919876543210', message: 'changed' } });
+  assert.equal(other.res.statusCode, 422);
+});
+
+test('failed responses release the key so the client can retry', async () => {
+  const first = await call(middleware, { key: 'order-7' });
+  await respond(first.res, 503, { error: 'Client not ready' });
+  assert.equal(row(ACCOUNT, 'order-7'), undefined);
+
+  const retry = await call(middleware, { key: 'order-7' });
+  assert.equal(retry.nextCalled, true);
+});
+
+test('expired keys are free again', async () => {
+  const first = await call(middleware, { key: 'order-8' });
+  await respond(first.res, 202, { job_id: 'job-8' });
+  row(ACCOUNT, 'order-8').expires_at = new Date(Date.now() - 1000).toISOString();
+
+  const retry = await call(middleware, { key: 'order-8', body: { number: '919876543210', message: 'new request' } });
+  assert.equal(retry.nextCalled, true);
+  assert.equal(row(ACCOUNT, 'order-8').status, 'processing');
+});
+
+// Last - a missing table turns the middleware off for the rest of the process
+test('a missing idempotency_keys table disables the middleware', async () => {
+  db.failNextReserve = new MissingIdempotencyTableError();
+  const first = await call(middleware, { key: 'order-9' });
+  assert.equal(first.nextCalled, true);
+
+  const second = await call(middleware, { key: 'order-9' });
+  assert.equal(second.nextCalled, true);
+  assert.equal(rows.size, 0);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findPlaceholders, validateTemplateShape, renderTemplate, toOutboundJob } = require('../utils/messageTemplates');
+
+test('placeholders are found across all template content', () => {
+  const template = {
+    type: 'buttons',
+    title: 'Hi {{ name }}',
+    body: 'Order {{order_id}} ships {{date}}',
+    footer: '{{name}}',
+    buttons: ['Track {{order_id}}', 'Help'],
+    media: { url: 'https://example.com/{{order_id}}.pdf', data: '{{not_a_placeholder}}' }
+  };
+  assert.deepEqual(findPlaceholders(template).sort(), ['date', 'name', 'order_id']);
+});
+
+test('malformed placeholders are left alone', () => {
+  assert.deepEqual(findPlaceholders({ body: '{{1st}} {{ }} {name} {{first-name}}' }), []);
+});
+
+test('values, defaults and optional variables fill the template', () => {
+  const template = {
+    type: 'text',
+    body: 'Hi {{name}}, your code is {{code}}{{suffix}}. Team {{team}}',
+    variables: [
+      { name: 'team', default: 'Support' },
+      { name: 'suffix', required: false }
+    ]
+  };
+  const rendered = renderTemplate(template, { name: 'Asha', code: 1234 });
+  assert.equal(rendered.value.type, 'text');
+  assert.equal(rendered.value.body, 'Hi Asha, your code is 1234. Team Support');
+  assert.equal(renderTemplate(template, { name: 'Asha', code: 1, team: 'Sales', suffix: '!' }).value.body, 'Hi Asha, your code is 1!. Team Sales');
+});
+
+test('missing required values are listed', () => {
+  const template = { type: 'text', body: '{{a}} {{b}} {{c}}', variables: [{ name: 'b', required: true }, { name: 'c', default: 'x' }] };
+  assert.deepEqual(renderTemplate(template, { a: '' }), {
+    error: 'Missing required template variables: a, b',
+    missing: ['a', 'b']
+  });
+});
+
+test('supplied values are not re-scanned for placeholders', () => {
+  const rendered = renderTemplate({ type: 'text', body: 'Hi {{name}}' }, { name: '{{secret}}' });
+  assert.equal(rendered.value.body, 'Hi {{secret}}');
+});
+
+test('base64 media data is passed through untouched', () => {
+  const template = { type: 'media', body: '{{caption}}', media: { data: 'e3tjYXB0aW9ufX0={{x}}', mimetype: 'image/png' } };
+  const rendered = renderTemplate(template, { caption: 'Invoice' });
+  assert.equal(rendered.value.media.data, 'e3tjYXB0aW9ufX0={{x}}');
+  assert.equal(rendered.value.body, 'Invoice');
+});
+
+test('template shapes are checked per type', () => {
+  assert.equal(validateTemplateShape({ type: 'text', body: 'hi' }), null);
+  assert.match(validateTemplateShape({ type: 'text' }), /need a body/);
+  assert.match(validateTemplateShape({ type: 'media', media: {} }), /need media/);
+  assert.match(validateTemplateShape({ type: 'buttons', buttons: [] }), /at least one button/);
+  assert.match(validateTemplateShape({ type: 'list', body: 'x', list: { button_text: 'Menu', sections: [] } }), /list.sections/);
+  assert.match(validateTemplateShape({ type: 'carousel' }), /Unknown template type/);
+});
+
+test('rendered templates map to outbound queue jobs', () => {
+  const options = { quotedMessageId: 'ABC' };
+  assert.deepEqual(toOutboundJob({ type: 'text', body: 'hi' }, options), { type: 'text', payload: { message: 'hi', options } });
+  assert.deepEqual(toOutboundJob({ type: 'media', media: { url: 'u' } }), { type: 'media', payload: { media: { url: 'u' }, caption: '', options: {} } });
+  assert.deepEqual(
+    toOutboundJob({ type: 'list', body: 'b', list: { button_text: 'Menu', sections: [{ rows: [] }] } }).payload,
+    { body: 'b', buttonText: 'Menu', sections: [{ rows: [] }], title: '', footer: '', options: {} }
+  );
+  assert.throws(() => toOutboundJob({ type: 'carousel' }), /Unknown template type/);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNumberSettingsCsv } = require('../utils/numberSettingsCsv');
+
+const defaults = { webhook_enabled: true, chatbot_enabled: true, flow_enabled: true, notes: null };
+
+test('rows become settings records with digits-only phone numbers', () => {
+  const { records, errors } = parseNumberSettingsCsv(
+    'phone_number,webhook_enabled,chatbot_enabled,flow_enabled,notes\n' +
+    '+91 98765-43210,false,yes,0,VIP\n' +
+    '14155550123,,,,\n'
+  );
+  assert.deepEqual(errors, []);
+  assert.deepEqual(records, [
+    { phone_number: '919876543210', webhook_enabled: false, chatbot_enabled: true, flow_enabled: false, notes: 'VIP' },
+    { ...defaults, phone_number: '14155550123' }
+  ]);
+});
+
+test('header aliases, any column order, semicolons and a BOM are accepted', () => {
+  const { records } = parseNumberSettingsCsv('﻿Note;Chatbot;Phone\nhello;off;919876543210\r\n');
+  assert.deepEqual(records, [{ ...defaults, phone_number: '919876543210', chatbot_enabled: false, notes: 'hello' }]);
+});
+
+test('quoted fields keep separators, escaped quotes and newlines', () => {
+  const { records } = parseNumberSettingsCsv('phone,notes\n919876543210,"a, ""b""\nc"\n');
+  assert.equal(records[0].notes, 'a, "b"\nc');
+});
+
+test('repeated numbers keep the last row', () => {
+  const { records } = parseNumberSettingsCsv('phone,webhook\n919876543210,yes\n+91 98765 43210,no\n');
+  assert.deepEqual(records, [{ ...defaults, phone_number: '919876543210', webhook_enabled: false }]);
+});
+
+test('bad rows are reported by file line and skipped, blank lines ignored', () => {
+  const { records, errors } = parseNumberSettingsCsv('phone,webhook\n123,yes\n\n919876543210,maybe\n14155550123,no\n');
+  assert.deepEqual(errors, [
+    { line: 2, error: 'Invalid phone number: 123' },
+    { line: 4, error: 'Invalid webhook_enabled value: maybe' }
+  ]);
+  assert.deepEqual(records.map(record => record.phone_number), ['14155550123']);
+});
+
+test('error lines count newlines inside quoted fields', () => {
+  const { errors } = parseNumberSettingsCsv('phone,notes\r\n14155550123,"two\r\nlines"\r\n12,x\r\n');
+  assert.deepEqual(errors, [{ line: 4, error: 'Invalid phone number: 12' }]);
+});
+
+test('a CSV without rows or a phone column is refused', () => {
+  assert.deepEqual(parseNumberSettingsCsv(''), { records: [], errors: [{ line: 1, error: 'CSV is empty' }] });
+  assert.deepEqual(parseNumberSettingsCsv('name\nbob\n'), { records: [], errors: [{ line: 1, error: 'Header row needs a phone_number column' }] });
+});
+
+test('more than 5000 rows are refused', () => {
+  const csv = 'phone\n' + Array.from({ length: 5001 }, (_, i) => String(9100000000 + i)).join('\n');
+  assert.match(parseNumberSettingsCsv(csv).errors[0].error, /Too many rows \(5001\)/);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchOptKeyword, normalizeKeyword } = require('../utils/optOut');
+
+test('opt-out keywords match regardless of case, spacing and punctuation', () => {
+  for (const text of ['STOP', 'stop', ' Stop ', 'stop!', '...STOP...', '🛑 stop 🛑', 'ＳＴＯＰ']) {
+    assert.deepEqual(matchOptKeyword(text), { action: 'opt_out', keyword: 'STOP' }, text);
+  }
+  assert.deepEqual(matchOptKeyword('opt   out'), { action: 'opt_out', keyword: 'OPT OUT' });
+  assert.deepEqual(matchOptKeyword('Unsubscribe.'), { action: 'opt_out', keyword: 'UNSUBSCRIBE' });
+  assert.deepEqual(matchOptKeyword('Arrêt'), { action: 'opt_out', keyword: 'ARRÊT' });
+});
+
+test('opt-in keywords match the same way', () => {
+  assert.deepEqual(matchOptKeyword('start'), { action: 'opt_in', keyword: 'START' });
+  assert.deepEqual(matchOptKeyword('Subscribe!'), { action: 'opt_in', keyword: 'SUBSCRIBE' });
+});
+
+test('a keyword inside a longer message is not a match', () => {
+  for (const text of ["please don't stop", 'stop by tomorrow', 'STOP STOP', 'start the order']) {
+    assert.equal(matchOptKeyword(text), null, text);
+  }
+});
+
+test('empty, non-text and very long messages never match', () => {
+  assert.equal(matchOptKeyword(''), null);
+  assert.equal(matchOptKeyword(null), null);
+  assert.equal(matchOptKeyword(undefined), null);
+  assert.equal(matchOptKeyword('!!!'), null);
+  assert.equal(matchOptKeyword('x'.repeat(60)), null);
+});
+
+test('normalizeKeyword trims symbols and collapses whitespace', () => {
+  assert.equal(normalizeKeyword('  opt \t out!! '), 'OPT OUT');
+  assert.equal(normalizeKeyword('"quit"'), 'QUIT');
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveSendAt } = require('../utils/validator');
+
+const sendAt = (value, timezone) => {
+  const result = resolveSendAt(value, timezone);
+  assert.equal(result.error, undefined, `unexpected error for ${value}: ${result.error}`);
+  return result.value.sendAt.toISOString();
+};
+
+test('empty send_at means send now', () => {
+  assert.deepEqual(resolveSendAt(undefined), { value: {} });
+  assert.deepEqual(resolveSendAt(null), { value: {} });
+  assert.deepEqual(resolveSendAt(''), { value: {} });
+});
+
+test('explicit UTC offsets are used as given', () => {
+  assert.equal(sendAt('2030-06-01T10:00:00Z'), '2030-06-01T10:00:00.000Z');
+  assert.equal(sendAt('2030-06-01T10:00+05:30'), '2030-06-01T04:30:00.000Z');
+  assert.equal(sendAt('2030-06-01T10:00:00-0300', 'Asia/Kolkata'), '2030-06-01T13:00:00.000Z');
+});
+
+test('local times are read in the given timezone', () => {
+  assert.equal(sendAt('2030-06-01T10:00', 'Asia/Kolkata'), '2030-06-01T04:30:00.000Z');
+  assert.equal(sendAt('2030-01-15T09:00', 'America/New_York'), '2030-01-15T14:00:00.000Z');
+  assert.equal(sendAt('2030-07-15T09:00', 'America/New_York'), '2030-07-15T13:00:00.000Z');
+});
+
+test('times skipped by a DST change move forward', () => {
+  // New York: 02:00 -> 03:00 on 2030-03-10
+  assert.equal(sendAt('2030-03-10T01:59', 'America/New_York'), '2030-03-10T06:59:00.000Z');
+  assert.equal(sendAt('2030-03-10T02:30', 'America/New_York'), '2030-03-10T07:30:00.000Z');
+  assert.equal(sendAt('2030-03-10T03:30', 'America/New_York'), '2030-03-10T07:30:00.000Z');
+  // Berlin: 02:00 -> 03:00 on 2030-03-31, seconds and milliseconds kept
+  assert.equal(sendAt('2030-03-31T02:30:15.250', 'Europe/Berlin'), '2030-03-31T01:30:15.250Z');
+});
+
+test('times repeated by a DST change take the first occurrence', () => {
+  assert.equal(sendAt('2030-11-03T01:30', 'America/New_York'), '2030-11-03T05:30:00.000Z');
+  assert.equal(sendAt('2030-10-27T02:30', 'Europe/Berlin'), '2030-10-27T00:30:00.000Z');
+});
+
+test('impossible dates are rejected instead of rolling over', () => {
+  for (const value of ['2030-02-30T10:00:00Z', '2031-02-29T10:00', '2030-04-31T10:00Z', '2030-02-28T24:00', '2030-02-28T10:60Z', '2030-02-28T10:00:61Z', '2030-13-01T10:00Z']) {
+    assert.deepEqual(resolveSendAt(value, 'Asia/Kolkata'), { error: 'send_at is not a valid date' }, value);
+  }
+  assert.equal(sendAt('2032-02-29T10:00:00.123Z'), '2032-02-29T10:00:00.123Z');
+});
+
+test('malformed input, unknown zones and past times are rejected', () => {
+  assert.match(resolveSendAt('tomorrow 9am').error, /ISO 8601/);
+  assert.match(resolveSendAt(1893456000).error, /ISO 8601/);
+  assert.match(resolveSendAt('2030-06-01T10:00', 'Mars/Olympus').error, /Unknown timezone/);
+  assert.match(resolveSendAt('2030-06-01T10:00').error, /requires a timezone/);
+  assert.match(resolveSendAt('2020-06-01T10:00:00Z').error, /in the future/);
+});
+
+test('the timezone is returned with the resolved time', () => {
+  assert.equal(resolveSendAt('2030-06-01T10:00', 'Asia/Kolkata').value.timezone, 'Asia/Kolkata');
+  assert.equal(resolveSendAt('2030-06-01T10:00Z').value.timezone, null);
+});
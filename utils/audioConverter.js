@@ -0,0 +1,98 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// FFMPEG_PATH wins, then the bundled ffmpeg-static binary, then ffmpeg from PATH
+const resolveFfmpegPath = () => {
+  if (process.env.FFMPEG_PATH) return process.env.FFMPEG_PATH;
+  try {
+    // The binary is fetched by ffmpeg-static's install script - missing with --ignore-scripts
+    const bundled = require('ffmpeg-static');
+    return bundled && fs.existsSync(bundled) ? bundled : 'ffmpeg';
+  } catch {
+    return 'ffmpeg';
+  }
+};
+
+const FFMPEG_PATH = resolveFfmpegPath();
+const CONVERSION_TIMEOUT_MS = 60000;
+
+class AudioConversionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AudioConversionError';
+  }
+}
+
+// WhatsApp only renders OGG/Opus as a voice note
+const isVoiceNoteFormat = (mimetype) => /^audio\/ogg/i.test(mimetype || '') && !/vorbis/i.test(mimetype);
+
+const runFfmpeg = (args) => new Promise((resolve, reject) => {
+  const proc = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+  let stderr = '';
+
+  const timer = setTimeout(() => {
+    proc.kill('SIGKILL');
+    reject(new AudioConversionError(`ffmpeg timed out after ${CONVERSION_TIMEOUT_MS / 1000}s`));
+  }, CONVERSION_TIMEOUT_MS);
+
+  proc.stderr.on('data', chunk => {
+    stderr = (stderr + chunk).slice(-2000);
+  });
+
+  proc.on('error', error => {
+    clearTimeout(timer);
+    reject(error.code === 'ENOENT'
+      ? new Error(`ffmpeg not found at "${FFMPEG_PATH}" - install ffmpeg or set FFMPEG_PATH`)
+      : error);
+  });
+
+  proc.on('close', code => {
+    clearTimeout(timer);
+    if (code === 0) {
+      resolve();
+    } else {
+      const reason = stderr.trim().split('\n').pop() || `exit code ${code}`;
+      reject(new AudioConversionError(`Audio conversion failed: ${reason}`));
+    }
+  });
+});
+
+/**
+ * Convert any audio file (MP3, WAV, M4A, ...) to mono OGG/Opus for push-to-talk voice notes.
+ * Goes through temp files because M4A/MP4 can't be demuxed from a pipe.
+ * @param {Buffer} buffer - Source audio
+ * @returns {Promise<Buffer>} OGG/Opus audio
+ */
+const convertToVoiceNote = async (buffer) => {
+  const base = path.join(os.tmpdir(), `wa-voice-${crypto.randomUUID()}`);
+  const input = `${base}.in`;
+  const output = `${base}.ogg`;
+
+  try {
+    await fs.promises.writeFile(input, buffer);
+    await runFfmpeg([
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-i', input,
+      '-vn', '-map_metadata', '-1',
+      '-ac', '1', '-ar', '48000',
+      '-c:a', 'libopus', '-b:a', '32k', '-application', 'voip',
+      output
+    ]);
+
+    const converted = await fs.promises.readFile(output);
+    logger.debug(`[Audio] Converted ${buffer.length} bytes to ${converted.length} bytes OGG/Opus`);
+    return converted;
+  } finally {
+    await Promise.all([input, output].map(file => fs.promises.unlink(file).catch(() => {})));
+  }
+};
+
+module.exports = {
+  convertToVoiceNote,
+  isVoiceNoteFormat,
+  AudioConversionError
+};
@@ -65,7 +65,7 @@ class ChatbotManager {
 
       // 4. Build Context (History)
       // Use optimized DB query for history
-      const history = await this.getConversationHistory(accountId, sender);
+      const history = await this.getConversationHistory(accountId, sender, message.id);
       logger.debug(`[Chatbot] Fetched ${history.length} history items for ${sender}`);
 
       // Add current message to history
@@ -115,13 +115,14 @@ class ChatbotManager {
    * Fetch and format conversation history
    * @param {string} accountId 
    * @param {string} sender 
+   * @param {string} currentMessageId - Already logged, sent separately as the user turn
    * @returns {Promise<Array<{role: string, content: string}>>}
    */
-  async getConversationHistory(accountId, sender) {
+  async getConversationHistory(accountId, sender, currentMessageId = null) {
     try {
       logger.info(`[Chatbot] Fetching history for sender: ${sender}`);
       // Use the optimized DB method
-      const logs = await db.getConversationHistory(accountId, sender, 10);
+      const logs = await db.getConversationHistory(accountId, sender, 10, currentMessageId);
       logger.info(`[Chatbot] Found ${logs.length} messages in history`);
 
       return logs.map(log => ({
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const logger = require('./logger');
+const { supabase, db, MissingMediaTableError } = require('../config/database');
+require('dotenv').config();
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'video/quicktime': 'mov',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'application/pdf': 'pdf',
+  'text/plain': 'txt'
+};
+
+const extensionFor = (mimetype) => {
+  const base = (mimetype || '').split(';')[0].trim().toLowerCase();
+  return EXTENSIONS[base] || base.split('/')[1] || 'bin';
+};
+
+// Keys are generated here, but stored filenames come from the sender - keep them harmless
+const safeFilename = (name) => path.basename(String(name)).replace(/[^\w.\- ]/g, '_').slice(0, 200);
+
+/**
+ * Local disk backend (default) - files under MEDIA_STORAGE_PATH/<accountId>/
+ */
+const createLocalBackend = () => {
+  const root = path.resolve(process.env.MEDIA_STORAGE_PATH || './media-storage');
+  const resolve = (key) => path.join(root, key);
+
+  return {
+    name: 'local',
+    async init() {
+      await fs.ensureDir(root);
+    },
+    async save(key, buffer) {
+      await fs.outputFile(resolve(key), buffer);
+    },
+    async read(key) {
+      return fs.readFile(resolve(key));
+    },
+    async remove(key) {
+      await fs.remove(resolve(key));
+    }
+  };
+};
+
+/**
+ * Supabase Storage backend - for hosts without a persistent disk (Render, Railway, ...)
+ */
+const createSupabaseBackend = () => {
+  const bucket = process.env.MEDIA_STORAGE_BUCKET || 'whatsapp-media';
+  const storage = () => supabase.storage.from(bucket);
+
+  return {
+    name: 'supabase',
+    async init() {
+      const { error } = await supabase.storage.getBucket(bucket);
+      if (error) {
+        const { error: createError } = await supabase.storage.createBucket(bucket, { public: false });
+        if (createError) throw createError;
+        logger.info(`[Media] Created storage bucket ${bucket}`);
+      }
+    },
+    async save(key, buffer, mimetype) {
+      const { error } = await storage().upload(key, buffer, { contentType: mimetype, upsert: true });
+      if (error) throw error;
+    },
+    async read(key) {
+      const { data, error } = await storage().download(key);
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+    async remove(key) {
+      const { error } = await storage().remove([key]);
+      if (error) throw error;
+    }
+  };
+};
+
+const backendFactories = {
+  local: createLocalBackend,
+  supabase: createSupabaseBackend
+};
+
+/**
+ * Media Storage Service
+ * Stores media received from WhatsApp and serves it back through GET /api/media/:id.
+ * Backends are pluggable: each implements init(), save(key, buffer, mimetype),
+ * read(key) and remove(key), and is picked by MEDIA_STORAGE_BACKEND.
+ * Files expire after MEDIA_RETENTION_DAYS and are purged by the retention job.
+ */
+class MediaStorageService {
+  constructor() {
+    this.backendName = (process.env.MEDIA_STORAGE_BACKEND || 'local').toLowerCase();
+    this.maxSizeBytes = (parseInt(process.env.MEDIA_MAX_SIZE_MB, 10) || 16) * 1024 * 1024;
+    this.retentionDays = parseInt(process.env.MEDIA_RETENTION_DAYS, 10) || 7;
+    this.retentionInterval = 60 * 60 * 1000;
+    this.publicBaseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+    this.enabled = process.env.MEDIA_DOWNLOAD_ENABLED !== 'false';
+    this.backend = null;
+    this.timer = null;
+    this.disabled = false;
+    this.disableReason = '';
+  }
+
+  registerBackend(name, factory) {
+    backendFactories[name.toLowerCase()] = factory;
+  }
+
+  async start() {
+    if (this.backend || this.disabled || !this.enabled) {
+      return;
+    }
+
+    const factory = backendFactories[this.backendName];
+    if (!factory) {
+      this.disableService(`Unknown MEDIA_STORAGE_BACKEND "${this.backendName}"`);
+      return;
+    }
+
+    const backend = factory();
+    await backend.init();
+    this.backend = backend;
+
+    this.timer = setInterval(() => this.runRetention(), this.retentionInterval);
+    this.runRetention();
+    logger.info(`MediaStorageService started (backend: ${backend.name}, retention: ${this.retentionDays} days)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    logger.info('MediaStorageService stopped');
+  }
+
+  disableService(reason) {
+    this.stop();
+    this.disabled = true;
+    this.disableReason = reason;
+    logger.error(`MediaStorageService disabled: ${reason}`);
+  }
+
+  isAvailable() {
+    return !!this.backend && !this.disabled;
+  }
+
+  getUrl(id) {
+    return `${this.publicBaseUrl}/api/media/${id}`;
+  }
+
+  /**
+   * Persist a downloaded media file and return the payload for webhooks
+   * @param {object} file - { accountId, messageId, buffer, mimetype, filename, mediaType }
+   */
+  async store({ accountId, messageId, buffer, mimetype, filename, mediaType }) {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const name = safeFilename(filename || `${mediaType || 'file'}-${messageId}.${extensionFor(mimetype)}`);
+    const storageKey = `${accountId}/${crypto.randomUUID()}.${extensionFor(mimetype)}`;
+
+    await this.backend.save(storageKey, buffer, mimetype);
+
+    let record;
+    try {
+      record = await db.createMediaFile({
+        accountId,
+        messageId,
+        storageBackend: this.backend.name,
+        storageKey,
+        mimetype,
+        filename: name,
+        size: buffer.length,
+        sha256,
+        expiresAt: new Date(Date.now() + this.retentionDays * 86400000).toISOString()
+      });
+    } catch (error) {
+      await this.backend.remove(storageKey).catch(() => {});
+      if (error instanceof MissingMediaTableError) {
+        this.disableService('Missing database table media_files. Apply the latest schema.sql.');
+      }
+      throw error;
+    }
+
+    return this.formatMedia(record);
+  }
+
+  formatMedia(record) {
+    return {
+      id: record.id,
+      url: this.getUrl(record.id),
+      mimetype: record.mimetype,
+      filename: record.filename,
+      size: record.size,
+      sha256: record.sha256
+    };
+  }
+
+  // Stored file plus its contents, or null when unknown / not owned by the account / expired
+  async getMedia(accountId, id) {
+    const record = await db.getMediaFile(id);
+    if (!record || record.account_id !== accountId || new Date(record.expires_at) < new Date()) {
+      return null;
+    }
+
+    const backend = record.storage_backend === this.backend?.name
+      ? this.backend
+      : backendFactories[record.storage_backend]?.();
+    if (!backend) {
+      throw new Error(`Storage backend "${record.storage_backend}" is not available`);
+    }
+
+    return { record, buffer: await backend.read(record.storage_key) };
+  }
+
+  async runRetention() {
+    if (!this.isAvailable()) return;
+
+    try {
+      let purged = 0;
+      let batch;
+      let removedIds;
+      do {
+        batch = await db.getExpiredMediaFiles(100);
+        removedIds = [];
+        for (const record of batch) {
+          const backend = record.storage_backend === this.backend.name
+            ? this.backend
+            : backendFactories[record.storage_backend]?.();
+          try {
+            if (!backend) {
+              throw new Error(`storage backend "${record.storage_backend}" is not available`);
+            }
+            await backend.remove(record.storage_key);
+            removedIds.push(record.id);
+          } catch (error) {
+            // Keep the row so the file is retried on the next run instead of being orphaned
+            logger.warn(`[Media] Could not remove ${record.storage_key}: ${error.message}`);
+          }
+        }
+        if (removedIds.length) {
+          await db.deleteMediaFiles(removedIds);
+          purged += removedIds.length;
+        }
+        // A full batch that removed nothing would come back unchanged - stop until the next run
+      } while (batch.length === 100 && removedIds.length > 0);
+
+      if (purged > 0) {
+        logger.info(`[Media] Purged ${purged} expired media files`);
+      }
+    } catch (error) {
+      if (error instanceof MissingMediaTableError) {
+        this.disableService('Missing database table media_files. Apply the latest schema.sql.');
+      } else {
+        logger.error('Media retention error:', error);
+      }
+    }
+  }
+}
+
+module.exports = new MediaStorageService();
@@ -0,0 +1,149 @@
+// {{name}} placeholders - whitespace inside the braces is allowed
+const PLACEHOLDER = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+// Base64 payloads are never rendered or scanned
+const SKIPPED_KEYS = new Set(['data']);
+
+const walkStrings = (value, fn, key) => {
+  if (typeof value === 'string') {
+    return SKIPPED_KEYS.has(key) ? value : fn(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => walkStrings(item, fn, key));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, walkStrings(v, fn, k)]));
+  }
+  return value;
+};
+
+// Parts of a template that can contain placeholders
+const templateContent = (template) => ({
+  body: template.body,
+  title: template.title,
+  footer: template.footer,
+  media: template.media,
+  buttons: template.buttons,
+  list: template.list
+});
+
+/**
+ * Every placeholder name used anywhere in the template content
+ * @returns {string[]}
+ */
+const findPlaceholders = (template) => {
+  const names = new Set();
+  walkStrings(templateContent(template), (text) => {
+    for (const match of text.matchAll(PLACEHOLDER)) {
+      names.add(match[1]);
+    }
+    return text;
+  });
+  return Array.from(names);
+};
+
+/**
+ * Check that a template has the content its type needs
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateTemplateShape = (template) => {
+  switch (template.type) {
+    case 'text':
+      return template.body ? null : 'Text templates need a body';
+    case 'media':
+      return template.media?.url || template.media?.data ? null : 'Media templates need media (url, or data with mimetype)';
+    case 'buttons':
+      return Array.isArray(template.buttons) && template.buttons.length ? null : 'Buttons templates need at least one button';
+    case 'list':
+      return template.body && template.list?.button_text && template.list?.sections?.length
+        ? null
+        : 'List templates need a body, list.button_text and list.sections';
+    default:
+      return `Unknown template type: ${template.type}`;
+  }
+};
+
+/**
+ * Fill in a template's placeholders.
+ * Placeholders without a declared variable are required; declared variables are
+ * required unless they have a default or `required: false`.
+ * @param {object} template - Stored template
+ * @param {object} values - { name: value } supplied by the caller
+ * @returns {{ value: object } | { error: string, missing: string[] }}
+ */
+const renderTemplate = (template, values = {}) => {
+  const declared = new Map((template.variables || []).map(variable => [variable.name, variable]));
+  const resolved = {};
+  const missing = [];
+
+  for (const name of findPlaceholders(template)) {
+    const supplied = values[name];
+    const variable = declared.get(name);
+
+    if (supplied !== undefined && supplied !== null && supplied !== '') {
+      resolved[name] = String(supplied);
+    } else if (variable?.default !== undefined && variable.default !== null) {
+      resolved[name] = String(variable.default);
+    } else if (variable && variable.required === false) {
+      resolved[name] = '';
+    } else {
+      missing.push(name);
+    }
+  }
+
+  if (missing.length) {
+    return { error: `Missing required template variables: ${missing.join(', ')}`, missing };
+  }
+
+  const rendered = walkStrings(templateContent(template), (text) =>
+    text.replace(PLACEHOLDER, (match, name) => resolved[name])
+  );
+
+  return { value: { type: template.type, ...rendered } };
+};
+
+/**
+ * Queue job (type + payload for WhatsAppManager) for a rendered template
+ * @returns {{ type: string, payload: object }}
+ */
+const toOutboundJob = (rendered, options = {}) => {
+  switch (rendered.type) {
+    case 'text':
+      return { type: 'text', payload: { message: rendered.body, options } };
+    case 'media':
+      return { type: 'media', payload: { media: rendered.media, caption: rendered.body || '', options } };
+    case 'buttons':
+      return {
+        type: 'buttons',
+        payload: {
+          body: rendered.body || '',
+          buttons: rendered.buttons,
+          title: rendered.title || '',
+          footer: rendered.footer || '',
+          media: rendered.media || null,
+          options
+        }
+      };
+    case 'list':
+      return {
+        type: 'list',
+        payload: {
+          body: rendered.body,
+          buttonText: rendered.list.button_text,
+          sections: rendered.list.sections,
+          title: rendered.title || '',
+          footer: rendered.footer || '',
+          options
+        }
+      };
+    default:
+      throw new Error(`Unknown template type: ${rendered.type}`);
+  }
+};
+
+module.exports = {
+  findPlaceholders,
+  validateTemplateShape,
+  renderTemplate,
+  toOutboundJob
+};
@@ -0,0 +1,133 @@
+// Column aliases accepted in the header row
+const COLUMNS = {
+  phone_number: ['phone_number', 'phone', 'number'],
+  webhook_enabled: ['webhook_enabled', 'webhook'],
+  chatbot_enabled: ['chatbot_enabled', 'chatbot'],
+  flow_enabled: ['flow_enabled', 'flow'],
+  notes: ['notes', 'note']
+};
+
+const TRUE_VALUES = ['true', '1', 'yes', 'y', 'on', 'enabled'];
+const FALSE_VALUES = ['false', '0', 'no', 'n', 'off', 'disabled'];
+
+const MAX_ROWS = 5000;
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields, "" escapes,
+ * newlines inside quotes). Comma or semicolon separated - spreadsheet exports use both.
+ * @returns {Array<{ fields: string[], line: number }>} Non-blank rows with the file line they start on
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ fields: row, line: rowLine });
+      row = [];
+      field = '';
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push({ fields: row, line: rowLine });
+  }
+
+  return rows.filter(({ fields }) => fields.some(value => value.trim() !== ''));
+};
+
+const parseFlag = (value) => {
+  const normalized = String(value ?? '').trim().toLowerCase();
+  if (normalized === '') return true; // column left empty = default (enabled)
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return null;
+};
+
+/**
+ * Number settings rows from a CSV import.
+ * The header row needs a phone_number (or phone / number) column; webhook_enabled,
+ * chatbot_enabled, flow_enabled and notes are optional. Flags accept true/false,
+ * yes/no, 1/0, on/off - empty means enabled.
+ * @returns {{ records: object[], errors: Array<{ line: number, error: string }> }}
+ */
+const parseNumberSettingsCsv = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { records: [], errors: [{ line: 1, error: 'CSV is empty' }] };
+  }
+
+  const names = header.fields.map(name => name.trim().toLowerCase());
+  const index = Object.fromEntries(Object.entries(COLUMNS).map(([column, aliases]) =>
+    [column, names.findIndex(name => aliases.includes(name))]
+  ));
+
+  if (index.phone_number === -1) {
+    return { records: [], errors: [{ line: header.line, error: 'Header row needs a phone_number column' }] };
+  }
+  if (rows.length > MAX_ROWS) {
+    return { records: [], errors: [{ line: header.line, error: `Too many rows (${rows.length}), the limit is ${MAX_ROWS}` }] };
+  }
+
+  const records = new Map(); // last row wins for repeated numbers
+  const errors = [];
+
+  rows.forEach(({ fields, line }) => {
+    const value = (column) => (index[column] === -1 ? '' : fields[index[column]] ?? '');
+
+    const phone = value('phone_number').replace(/\D/g, '');
+    if (phone.length < 5 || phone.length > 20) {
+      errors.push({ line, error: `Invalid phone number: ${value('phone_number') || '(empty)'}` });
+      return;
+    }
+
+    const record = { phone_number: phone, notes: value('notes').trim() || null };
+    for (const column of ['webhook_enabled', 'chatbot_enabled', 'flow_enabled']) {
+      const flag = parseFlag(value(column));
+      if (flag === null) {
+        errors.push({ line, error: `Invalid ${column} value: ${value(column)}` });
+        return;
+      }
+      record[column] = flag;
+    }
+
+    records.set(phone, record);
+  });
+
+  return { records: Array.from(records.values()), errors };
+};
+
+module.exports = {
+  parseNumberSettingsCsv
+};
@@ -0,0 +1,34 @@
+// Whole-message keywords - "STOP", "stop!" and " Stop " match, "please don't stop" doesn't
+const DEFAULT_OPT_OUT_KEYWORDS = 'STOP,STOPALL,UNSUBSCRIBE,CANCEL,END,QUIT,OPT OUT,OPTOUT,BAJA,PARAR,ARRET,ARRÊT';
+const DEFAULT_OPT_IN_KEYWORDS = 'START,UNSTOP,SUBSCRIBE';
+
+// Case, surrounding punctuation/emoji and repeated spaces don't matter
+const normalizeKeyword = (text) => String(text || '')
+  .normalize('NFKC')
+  .replace(/^[\s\p{P}\p{S}]+|[\s\p{P}\p{S}]+$/gu, '')
+  .replace(/\s+/g, ' ')
+  .toUpperCase();
+
+const parseKeywords = (value) => new Set(
+  String(value).split(',').map(normalizeKeyword).filter(Boolean)
+);
+
+const OPT_OUT_KEYWORDS = parseKeywords(process.env.OPT_OUT_KEYWORDS || DEFAULT_OPT_OUT_KEYWORDS);
+const OPT_IN_KEYWORDS = parseKeywords(process.env.OPT_IN_KEYWORDS || DEFAULT_OPT_IN_KEYWORDS);
+
+/**
+ * Opt-out / opt-in keyword an incoming message consists of
+ * @returns {{ action: 'opt_out'|'opt_in', keyword: string } | null}
+ */
+const matchOptKeyword = (text) => {
+  const keyword = normalizeKeyword(text);
+  if (!keyword || keyword.length > 50) return null;
+  if (OPT_OUT_KEYWORDS.has(keyword)) return { action: 'opt_out', keyword };
+  if (OPT_IN_KEYWORDS.has(keyword)) return { action: 'opt_in', keyword };
+  return null;
+};
+
+module.exports = {
+  matchOptKeyword,
+  normalizeKeyword
+};
@@ -0,0 +1,271 @@
+const EventEmitter = require('events');
+const logger = require('./logger');
+const { db, MissingOutboundQueueTableError } = require('../config/database');
+const whatsappManager = require('./whatsappManager');
+
+/**
+ * Outbound Message Service
+ * Durable queue for API sends: requests are stored in outbound_message_queue and
+ * answered with a job ID, then a worker per account drains them one at a time
+ * through WhatsAppManager (so the anti-ban rate limiter still paces every send).
+ * Scheduled messages are ordinary jobs whose first attempt is deferred to send_at.
+ */
+class OutboundMessageService extends EventEmitter {
+  constructor() {
+    super();
+    this.interval = parseInt(process.env.OUTBOUND_WORKER_INTERVAL_MS, 10) || 2000;
+    this.batchSize = parseInt(process.env.OUTBOUND_WORKER_BATCH_SIZE, 10) || 20;
+    this.defaultMaxRetries = parseInt(process.env.OUTBOUND_MAX_RETRIES, 10) || 3;
+    this.baseBackoffMs = parseInt(process.env.OUTBOUND_BACKOFF_MS, 10) || 5000;
+    this.maxBackoffMs = parseInt(process.env.OUTBOUND_MAX_BACKOFF_MS, 10) || 300000;
+    this.timer = null;
+    this.isPolling = false;
+    this.activeAccounts = new Set(); // accountIds with a running worker
+    this.started = false;
+    this.disabled = false;
+    this.disableReason = '';
+  }
+
+  async start() {
+    if (this.started || this.disabled) {
+      return;
+    }
+
+    try {
+      // Jobs left in 'sending' by a crash go back to the queue. This is the only worker,
+      // so nothing can legitimately be mid-send yet - requeue them all, however recent
+      await db.resetStuckOutboundMessages(0);
+    } catch (error) {
+      if (error instanceof MissingOutboundQueueTableError) {
+        this.disableService('Missing database table outbound_message_queue. Apply the latest schema.sql.');
+        return;
+      }
+      throw error;
+    }
+
+    this.timer = setInterval(() => this.processQueue(), this.interval);
+    this.started = true;
+    logger.info('OutboundMessageService started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.started = false;
+    logger.info('OutboundMessageService stopped');
+  }
+
+  disableService(reason) {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.disabled = true;
+    this.disableReason = reason;
+    logger.error(`OutboundMessageService disabled: ${reason}`);
+  }
+
+  /**
+   * Persist a send request and return its public job representation
+   * @param {string} accountId - Account UUID
+   * @param {string} type - 'text', 'media', 'sticker', 'buttons', 'list', 'location', 'contact' or 'poll'
+   * @param {string} recipient - Phone number or JID
+   * @param {object} payload - Arguments for the matching WhatsAppManager send method
+   * @param {object} schedule - Optional { sendAt: Date, timezone: string } for scheduled messages
+   */
+  async enqueue(accountId, type, recipient, payload, schedule = {}) {
+    if (this.disabled) {
+      throw new Error(`Outbound queue unavailable: ${this.disableReason}`);
+    }
+
+    // Refuse opted-out recipients up front (checked again when the job is sent)
+    await whatsappManager.assertNotSuppressed(accountId, recipient);
+
+    const job = await db.enqueueOutboundMessage({
+      accountId,
+      type,
+      recipient,
+      payload,
+      maxRetries: this.defaultMaxRetries,
+      sendAt: schedule.sendAt ? schedule.sendAt.toISOString() : null,
+      timezone: schedule.timezone || null
+    });
+
+    if (job.send_at) {
+      logger.info(`[Outbound] Scheduled ${type} job ${job.id} for ${accountId} at ${job.send_at}`);
+    } else {
+      logger.info(`[Outbound] Queued ${type} job ${job.id} for ${accountId}`);
+    }
+    return this.formatJob(job);
+  }
+
+  async getJob(jobId) {
+    const job = await db.getOutboundMessage(jobId);
+    return job ? this.formatJob(job) : null;
+  }
+
+  async getScheduled(accountId, status = 'queued') {
+    const jobs = await db.getScheduledOutboundMessages(accountId, status);
+    return jobs.map(job => this.formatJob(job));
+  }
+
+  async cancel(accountId, jobId) {
+    const job = await db.cancelOutboundMessage(accountId, jobId);
+    if (job) {
+      logger.info(`[Outbound] Job ${jobId} cancelled for ${accountId}`);
+    }
+    return job ? this.formatJob(job) : null;
+  }
+
+  async processQueue() {
+    if (this.isPolling || this.disabled) {
+      return;
+    }
+
+    this.isPolling = true;
+
+    try {
+      const jobs = await db.getDueOutboundMessages(this.batchSize, Array.from(this.activeAccounts));
+      if (!jobs.length) {
+        return;
+      }
+
+      // Group by account, keeping queue order within each account
+      const jobsByAccount = new Map();
+      for (const job of jobs) {
+        if (!jobsByAccount.has(job.account_id)) {
+          jobsByAccount.set(job.account_id, []);
+        }
+        jobsByAccount.get(job.account_id).push(job);
+      }
+
+      // Workers are not awaited: a send can wait minutes on the rate limiter
+      for (const [accountId, accountJobs] of jobsByAccount) {
+        if (!this.activeAccounts.has(accountId)) {
+          this.runAccountWorker(accountId, accountJobs);
+        }
+      }
+    } catch (error) {
+      if (error instanceof MissingOutboundQueueTableError) {
+        this.disableService('Missing outbound_message_queue table while processing queue');
+      } else {
+        logger.error('Outbound queue processing error:', error);
+      }
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async runAccountWorker(accountId, jobs) {
+    this.activeAccounts.add(accountId);
+
+    try {
+      for (const job of jobs) {
+        if (this.disabled || !this.started) break;
+        await this.processJob(job);
+      }
+    } catch (error) {
+      logger.error(`[Outbound] Worker error for ${accountId}:`, error);
+    } finally {
+      this.activeAccounts.delete(accountId);
+    }
+  }
+
+  async processJob(job) {
+    const claimedJob = await db.markOutboundMessageSending(job);
+    if (!claimedJob) {
+      return; // Already claimed elsewhere
+    }
+
+    try {
+      const result = await this.dispatch(claimedJob);
+      await db.completeOutboundMessage(claimedJob.id, result);
+
+      logger.info(`[Outbound] Job ${claimedJob.id} sent (msgId: ${result?.messageId?.slice(0, 15)}...)`);
+      whatsappManager.emitToAccount(claimedJob.account_id, 'message-sent', { jobId: claimedJob.id, ...result });
+      this.emit('job-sent', { job: claimedJob, result });
+    } catch (error) {
+      const isFinal = this.isPermanentError(error) ||
+        claimedJob.attempt_count >= (claimedJob.max_retries || this.defaultMaxRetries);
+      const nextAttempt = isFinal
+        ? null
+        : new Date(Date.now() + this.getBackoffDelay(claimedJob.attempt_count)).toISOString();
+
+      await db.failOutboundMessage(claimedJob, error.message, nextAttempt, isFinal);
+
+      if (isFinal) {
+        logger.error(`[Outbound] Job ${claimedJob.id} failed: ${error.message}`);
+        whatsappManager.emitToAccount(claimedJob.account_id, 'message-failed', { jobId: claimedJob.id, error: error.message });
+      } else {
+        logger.warn(`[Outbound] Job ${claimedJob.id} attempt ${claimedJob.attempt_count} failed, retrying: ${error.message}`);
+      }
+
+      this.emit('job-failed', { job: claimedJob, error, final: isFinal });
+    }
+  }
+
+  dispatch(job) {
+    const { payload } = job;
+
+    switch (job.message_type) {
+      case 'text':
+        return whatsappManager.sendMessage(job.account_id, job.recipient, payload.message, payload.options || {});
+      case 'media':
+        return whatsappManager.sendMedia(job.account_id, job.recipient, payload.media, payload.caption || '', payload.options || {});
+      case 'buttons':
+        return whatsappManager.sendButtons(job.account_id, job.recipient, payload.body, payload.buttons, payload.title, payload.footer, payload.media, payload.options || {});
+      case 'list':
+        return whatsappManager.sendList(job.account_id, job.recipient, payload.body, payload.buttonText, payload.sections, payload.title, payload.footer, payload.options || {});
+      case 'sticker':
+        return whatsappManager.sendSticker(job.account_id, job.recipient, payload.media, payload.sticker || {}, payload.options || {});
+      case 'location':
+        return whatsappManager.sendLocation(job.account_id, job.recipient, payload.location, payload.options || {});
+      case 'contact':
+        return whatsappManager.sendContact(job.account_id, job.recipient, payload.contacts, payload.options || {});
+      case 'poll':
+        return whatsappManager.sendPoll(job.account_id, job.recipient, payload.poll, payload.options || {});
+      default:
+        throw new Error(`Unsupported message type: ${job.message_type}`);
+    }
+  }
+
+  // WhatsAppError = the request itself is bad; anything else (not connected, network) is retried
+  isPermanentError(error) {
+    return error?.name === 'WhatsAppError' && error.status < 500;
+  }
+
+  getBackoffDelay(attempt) {
+    const exp = Math.pow(2, Math.max(attempt - 1, 0));
+    return Math.min(this.baseBackoffMs * exp, this.maxBackoffMs);
+  }
+
+  formatJob(job) {
+    const formatted = {
+      job_id: job.id,
+      account_id: job.account_id,
+      type: job.message_type,
+      recipient: job.recipient,
+      status: job.status,
+      attempts: job.attempt_count || 0,
+      error: job.last_error || null,
+      message_id: job.wa_message_id || null,
+      next_attempt_at: job.status === 'queued' ? job.next_attempt_at : null,
+      send_at: job.send_at || null,
+      timezone: job.timezone || null,
+      sent_at: job.sent_at || null,
+      created_at: job.created_at,
+      updated_at: job.updated_at
+    };
+
+    // Listing queries include a text preview pulled from the payload
+    if (job.text !== undefined || job.caption !== undefined || job.body !== undefined) {
+      formatted.preview = job.text || job.caption || job.body || null;
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = new OutboundMessageService();
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const STICKER_SIZE = 512;
+// WhatsApp rejects larger stickers
+const MAX_STATIC_BYTES = 100 * 1024;
+const MAX_ANIMATED_BYTES = 500 * 1024;
+
+const SUPPORTED_MIMETYPES = ['image/png', 'image/jpeg', 'image/jpg', 'image/gif', 'image/webp'];
+
+class StickerConversionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StickerConversionError';
+  }
+}
+
+const isSupportedImage = (mimetype) => SUPPORTED_MIMETYPES.includes((mimetype || '').split(';')[0].trim().toLowerCase());
+
+/**
+ * EXIF block WhatsApp reads the sticker pack name and author from:
+ * a little-endian TIFF header with one private tag (0x5741) holding JSON
+ */
+const buildStickerExif = ({ pack, author, emojis }) => {
+  const json = Buffer.from(JSON.stringify({
+    'sticker-pack-id': crypto.randomUUID(),
+    'sticker-pack-name': pack || '',
+    'sticker-pack-publisher': author || '',
+    emojis: emojis || []
+  }), 'utf8');
+
+  const header = Buffer.from([
+    0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00, // TIFF header, first IFD at offset 8
+    0x01, 0x00,                                     // 1 entry
+    0x41, 0x57, 0x07, 0x00,                         // tag 0x5741, type UNDEFINED
+    0x00, 0x00, 0x00, 0x00,                         // value length (set below)
+    0x16, 0x00, 0x00, 0x00                          // value offset 22
+  ]);
+  header.writeUInt32LE(json.length, 14);
+
+  return Buffer.concat([header, json]);
+};
+
+const riffChunk = (fourCC, data) => {
+  const header = Buffer.alloc(8);
+  header.write(fourCC, 0, 'ascii');
+  header.writeUInt32LE(data.length, 4);
+  const padding = data.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0);
+  return Buffer.concat([header, data, padding]);
+};
+
+/**
+ * Add an EXIF chunk to a WebP file. Simple (VP8/VP8L) files are upgraded to the
+ * extended VP8X layout, which is the only one that can carry metadata.
+ */
+const addWebpExif = (webp, exif, width, height) => {
+  if (webp.toString('ascii', 0, 4) !== 'RIFF' || webp.toString('ascii', 8, 12) !== 'WEBP') {
+    throw new StickerConversionError('Converted image is not a WebP file');
+  }
+
+  // Split into chunks, dropping any existing EXIF
+  const chunks = [];
+  for (let offset = 12; offset + 8 <= webp.length;) {
+    const fourCC = webp.toString('ascii', offset, offset + 4);
+    const size = webp.readUInt32LE(offset + 4);
+    if (fourCC !== 'EXIF') {
+      chunks.push({ fourCC, data: webp.subarray(offset + 8, offset + 8 + size) });
+    }
+    offset += 8 + size + (size % 2);
+  }
+
+  let vp8x = chunks.find(chunk => chunk.fourCC === 'VP8X');
+  if (!vp8x) {
+    const hasAlpha = chunks.some(chunk => chunk.fourCC === 'VP8L' || chunk.fourCC === 'ALPH');
+    const data = Buffer.alloc(10);
+    data[0] = hasAlpha ? 0x10 : 0;
+    data.writeUIntLE(width - 1, 4, 3);
+    data.writeUIntLE(height - 1, 7, 3);
+    vp8x = { fourCC: 'VP8X', data };
+    chunks.unshift(vp8x);
+  } else {
+    vp8x.data = Buffer.from(vp8x.data);
+  }
+  vp8x.data[0] |= 0x08; // EXIF flag
+
+  const body = Buffer.concat([
+    Buffer.from('WEBP', 'ascii'),
+    ...chunks.map(chunk => riffChunk(chunk.fourCC, chunk.data)),
+    riffChunk('EXIF', exif)
+  ]);
+
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+};
+
+/**
+ * Convert a PNG/JPEG/GIF/WebP image to a 512x512 WebP sticker (transparent padding,
+ * animated GIF/WebP stay animated), shrinking quality until it fits WhatsApp's limits.
+ * @param {Buffer} buffer - Source image
+ * @param {object} metadata - { pack, author, emojis }
+ * @returns {Promise<{ buffer: Buffer, isAnimated: boolean }>}
+ */
+const createSticker = async (buffer, metadata = {}) => {
+  let info;
+  try {
+    info = await sharp(buffer, { animated: true }).metadata();
+  } catch (error) {
+    throw new StickerConversionError(`Unsupported image: ${error.message}`);
+  }
+
+  const isAnimated = (info.pages || 1) > 1;
+  const maxBytes = isAnimated ? MAX_ANIMATED_BYTES : MAX_STATIC_BYTES;
+
+  let webp;
+  for (const quality of [80, 60, 40, 20]) {
+    webp = await sharp(buffer, { animated: isAnimated })
+      .resize(STICKER_SIZE, STICKER_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .webp({ quality, effort: 4, loop: 0 })
+      .toBuffer();
+    if (webp.length <= maxBytes) break;
+  }
+
+  if (webp.length > maxBytes) {
+    throw new StickerConversionError(`Sticker is ${Math.round(webp.length / 1024)} KB after compression, limit is ${maxBytes / 1024} KB`);
+  }
+
+  return {
+    buffer: addWebpExif(webp, buildStickerExif(metadata), STICKER_SIZE, STICKER_SIZE),
+    isAnimated
+  };
+};
+
+module.exports = {
+  createSticker,
+  isSupportedImage,
+  StickerConversionError
+};
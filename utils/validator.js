@@ -1,5 +1,54 @@
 const Joi = require('joi');
 
+// Fields shared by queued send endpoints (send_at is parsed by resolveSendAt)
+const queuedSendFields = {
+  number: Joi.string().min(1).max(50).required(),
+  quoted_message_id: Joi.string().max(255).optional(),
+  send_at: Joi.string().max(64).optional(),
+  timezone: Joi.string().max(64).optional()
+};
+
+// Message template content - placeholders may appear in any text field,
+// which is why media.url is not validated as a URI here
+const templateFields = {
+  description: Joi.string().max(500).allow('', null).optional(),
+  body: Joi.string().max(4096).allow('', null).optional(),
+  title: Joi.string().max(255).allow('', null).optional(),
+  footer: Joi.string().max(255).allow('', null).optional(),
+  media: Joi.object({
+    url: Joi.string().max(2000).optional(),
+    data: Joi.string().optional(),
+    mimetype: Joi.string().max(100).optional(),
+    filename: Joi.string().max(255).optional()
+  }).or('url', 'data').allow(null).optional(),
+  buttons: Joi.array().items(
+    Joi.alternatives().try(
+      Joi.string().min(1).max(100),
+      Joi.object({
+        id: Joi.string().max(100).optional(),
+        text: Joi.string().min(1).max(100).required()
+      })
+    )
+  ).min(1).max(10).allow(null).optional(),
+  list: Joi.object({
+    button_text: Joi.string().min(1).max(50).required(),
+    sections: Joi.array().items(Joi.object({
+      title: Joi.string().max(100).allow('').optional(),
+      rows: Joi.array().items(Joi.object({
+        id: Joi.string().max(100).optional(),
+        title: Joi.string().min(1).max(100).required(),
+        description: Joi.string().max(255).allow('').optional()
+      })).min(1).max(10).required()
+    })).min(1).max(10).required()
+  }).allow(null).optional(),
+  variables: Joi.array().items(Joi.object({
+    name: Joi.string().pattern(/^[A-Za-z_]\w*$/).max(64).required(),
+    default: Joi.string().max(1000).allow('').optional(),
+    required: Joi.boolean().optional(),
+    description: Joi.string().max(255).allow('').optional()
+  })).max(50).unique('name').optional()
+};
+
 // Validation schemas
 const schemas = {
   // Account validation
@@ -16,11 +65,22 @@ const schemas = {
     error_message: Joi.string().max(1000).allow('', null).optional()
   }),
 
+  // Incoming call handling (fields left out keep their current value)
+  callSettings: Joi.object({
+    auto_reject: Joi.boolean().optional(),
+    reply_message: Joi.string().max(4096).allow('', null).optional()
+  }),
+
+  readSettings: Joi.object({
+    auto_read: Joi.boolean().required()
+  }),
+
   // Webhook validation
   createWebhook: Joi.object({
     account_id: Joi.string().uuid().required(),
     url: Joi.string().uri().max(500).required(),
     secret: Joi.string().max(255).allow('', null).optional(),
+    events: Joi.array().items(Joi.string().max(50)).optional(),
     is_active: Joi.boolean().optional().default(true)
   }),
 
@@ -62,6 +122,141 @@ const schemas = {
     }).optional().default({})
   }),
 
+  sendLocation: Joi.object({
+    ...queuedSendFields,
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    name: Joi.string().max(255).allow('', null).optional(),
+    address: Joi.string().max(500).allow('', null).optional()
+  }),
+
+  sendContact: Joi.object({
+    ...queuedSendFields,
+    contacts: Joi.array().items(
+      Joi.object({
+        name: Joi.string().min(1).max(255).required(),
+        phones: Joi.array().items(Joi.string().pattern(/^\+?[\d\s()-]{5,20}$/)).min(1).max(5).single().required(),
+        organization: Joi.string().max(255).allow('', null).optional(),
+        email: Joi.string().email().max(255).allow('', null).optional()
+      })
+    ).min(1).max(10).required()
+  }),
+
+  sendPoll: Joi.object({
+    ...queuedSendFields,
+    question: Joi.string().min(1).max(255).required(),
+    options: Joi.array().items(Joi.string().min(1).max(100)).min(2).max(12).unique().required(),
+    allow_multiple: Joi.boolean().optional().default(false)
+  }),
+
+  checkNumbers: Joi.object({
+    numbers: Joi.array().items(Joi.string().min(5).max(50)).min(1).max(50).required()
+  }),
+
+  // Presence
+  presenceSubscribe: Joi.object({
+    numbers: Joi.array().items(Joi.string().min(5).max(50)).min(1).max(50).required()
+  }),
+
+  chatPresence: Joi.object({
+    number: Joi.string().min(5).max(50).required(),
+    state: Joi.string().valid('composing', 'recording', 'paused').required()
+  }),
+
+  // Chat state (message_ids left out = every unread message of the chat)
+  markChatRead: Joi.object({
+    message_ids: Joi.array().items(Joi.string().min(1).max(255)).min(1).max(500).optional()
+  }),
+
+  chatAction: Joi.object({
+    duration_seconds: Joi.number().integer().min(60).max(366 * 24 * 60 * 60).optional() // mute only, default 8 hours
+  }),
+
+  // Per-number settings (flags left out default to enabled)
+  numberSettings: Joi.object({
+    webhook_enabled: Joi.boolean().optional(),
+    chatbot_enabled: Joi.boolean().optional(),
+    flow_enabled: Joi.boolean().optional(),
+    notes: Joi.string().max(500).optional().allow('', null)
+  }),
+
+  createNumberSettings: Joi.object({
+    phone_number: Joi.string().min(5).max(50).required(),
+    webhook_enabled: Joi.boolean().optional(),
+    chatbot_enabled: Joi.boolean().optional(),
+    flow_enabled: Joi.boolean().optional(),
+    notes: Joi.string().max(500).optional().allow('', null)
+  }),
+
+  bulkNumberSettings: Joi.object({
+    numbers: Joi.array().items(Joi.object({
+      phone_number: Joi.string().min(5).max(50).required(),
+      webhook_enabled: Joi.boolean().optional(),
+      chatbot_enabled: Joi.boolean().optional(),
+      flow_enabled: Joi.boolean().optional(),
+      notes: Joi.string().max(500).optional().allow('', null)
+    })).min(1).max(5000).required()
+  }),
+
+  // Suppression list (opt-outs)
+  addSuppression: Joi.object({
+    numbers: Joi.array().items(Joi.string().min(5).max(50)).min(1).max(500).required(),
+    reason: Joi.string().max(500).optional().allow('')
+  }),
+
+  // Group management
+  createGroup: Joi.object({
+    subject: Joi.string().min(1).max(100).required(),
+    participants: Joi.array().items(Joi.string().min(5).max(50)).min(1).max(50).required()
+  }),
+
+  groupParticipants: Joi.object({
+    action: Joi.string().valid('add', 'remove', 'promote', 'demote').required(),
+    participants: Joi.array().items(Joi.string().min(5).max(50)).min(1).max(50).required()
+  }),
+
+  groupSubject: Joi.object({
+    subject: Joi.string().min(1).max(100).required()
+  }),
+
+  groupDescription: Joi.object({
+    description: Joi.string().max(2048).allow('').required()
+  }),
+
+  groupSettings: Joi.object({
+    announcement: Joi.boolean().required()
+  }),
+
+  // Message templates
+  createTemplate: Joi.object({
+    name: Joi.string().pattern(/^[\w.-]+$/).min(1).max(100).required(),
+    type: Joi.string().valid('text', 'media', 'buttons', 'list').default('text'),
+    ...templateFields
+  }),
+
+  updateTemplate: Joi.object({
+    name: Joi.string().pattern(/^[\w.-]+$/).min(1).max(100).optional(),
+    type: Joi.string().valid('text', 'media', 'buttons', 'list').optional(),
+    ...templateFields
+  }).min(1),
+
+  sendTemplate: Joi.object({
+    ...queuedSendFields,
+    template: Joi.string().min(1).max(100).required(), // template name or ID
+    variables: Joi.object().pattern(/^[A-Za-z_]\w*$/, Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean())).optional().default({})
+  }),
+
+  sendReaction: Joi.object({
+    message_id: Joi.string().min(1).max(255).required(),
+    emoji: Joi.string().max(16).allow('').required(), // '' removes the reaction
+    number: Joi.string().min(1).max(50).optional(),
+    from_me: Joi.boolean().optional().default(false)
+  }),
+
+  editMessage: Joi.object({
+    text: Joi.string().min(1).max(10000).required()
+  }),
+
   webhookReply: Joi.object({
     account_id: Joi.string().uuid().required(),
     number: Joi.string().min(1).max(50).required(),
@@ -74,6 +269,7 @@ const schemas = {
       filename: Joi.string().max(255).optional()
     }).optional(),
     caption: Joi.string().max(1000).allow('', null).optional(),
+    quoted_message_id: Joi.string().max(255).optional(),
     // Button support
     buttons: Joi.array().items(
       Joi.alternatives().try(
@@ -171,10 +367,84 @@ const isValidUUID = (uuid) => {
   return uuidRegex.test(uuid);
 };
 
+// Offset (ms) of a timezone from UTC at the given instant
+const getTimezoneOffset = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Scheduled send time: ISO string with an offset, or a local ISO time plus an IANA timezone
+// Returns { value: { sendAt, timezone } } ({} when not scheduled) or { error }
+const resolveSendAt = (sendAt, timezone) => {
+  if (sendAt === undefined || sendAt === null || sendAt === '') {
+    return { value: {} };
+  }
+
+  if (typeof sendAt !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i.test(sendAt)) {
+    return { error: 'send_at must be an ISO 8601 date-time, e.g. 2025-01-31T09:00:00' };
+  }
+
+  // Date would roll impossible values over (Feb 30 -> Mar 2), so check each field round-trips
+  const [year, month, day, hour, minute, second = 0] = sendAt.match(/\d+/g).slice(0, 6).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day ||
+      check.getUTCHours() !== hour || check.getUTCMinutes() !== minute || check.getUTCSeconds() !== second) {
+    return { error: 'send_at is not a valid date' };
+  }
+
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (e) {
+      return { error: `Unknown timezone: ${timezone}` };
+    }
+  }
+
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(sendAt);
+  let date;
+
+  if (hasOffset) {
+    date = new Date(sendAt);
+  } else if (timezone) {
+    // Read the wall-clock time as UTC, then try the zone's offsets a day either side
+    // (at most one DST change in between). A time that exists twice (clocks going back)
+    // takes the earlier instant; one that doesn't exist (clocks going forward) uses the
+    // offset from before the change, so 02:30 in a 02:00 -> 03:00 gap becomes 03:30
+    const wallClock = new Date(`${sendAt}Z`).getTime();
+    const offsetBefore = getTimezoneOffset(new Date(wallClock - 86400000), timezone);
+    const offsetAfter = getTimezoneOffset(new Date(wallClock + 86400000), timezone);
+    const matches = [wallClock - offsetBefore, wallClock - offsetAfter]
+      .filter(instant => instant + getTimezoneOffset(new Date(instant), timezone) === wallClock);
+    date = new Date(matches.length ? Math.min(...matches) : wallClock - offsetBefore);
+  } else {
+    return { error: 'send_at without a UTC offset requires a timezone (e.g. "Asia/Kolkata")' };
+  }
+
+  if (isNaN(date.getTime())) {
+    return { error: 'send_at is not a valid date' };
+  }
+
+  // Allow a minute of clock skew, anything older is almost certainly a mistake
+  if (date.getTime() < Date.now() - 60000) {
+    return { error: 'send_at must be in the future' };
+  }
+
+  return { value: { sendAt: date, timezone: timezone || null } };
+};
+
 module.exports = {
   schemas,
   validate,
   isValidPhoneNumber,
   sanitizeInput,
-  isValidUUID
+  isValidUUID,
+  resolveSendAt
 };
@@ -279,10 +279,45 @@ class WebhookDeliveryService extends EventEmitter {
         };
       }
 
+      // Group membership changes (add/remove/promote/demote)
+      if (eventType === 'group_participants') {
+        return {
+          event: 'group_participants',
+          account_id: messageData.account_id,
+          group_id: messageData.group_id,
+          group_name: messageData.group_name,
+          action: messageData.action,
+          actor: messageData.actor,
+          participants: messageData.participants,
+          created_at: messageData.created_at,
+          optimized: true
+        };
+      }
+
+      // Group subject/description/settings changes
+      if (eventType === 'group_update') {
+        return {
+          event: 'group_update',
+          account_id: messageData.account_id,
+          group_id: messageData.group_id,
+          group_name: messageData.group_name,
+          actor: messageData.actor,
+          changes: messageData.changes,
+          created_at: messageData.created_at,
+          optimized: true
+        };
+      }
+
+      // Other events (reactions, ...) are already compact
+      if (eventType !== 'message') {
+        return { ...messageData, optimized: true };
+      }
+
       // Handle regular message events
       const {
         account_id,
         direction,
+        message_id,
         sender,
         recipient,
         message,
@@ -290,6 +325,8 @@ class WebhookDeliveryService extends EventEmitter {
         type,
         chat_id,
         is_group,
+        group_name,
+        group,
         media
       } = messageData;
 
@@ -297,6 +334,7 @@ class WebhookDeliveryService extends EventEmitter {
         event: 'message',
         account_id,
         direction,
+        message_id,
         sender,
         recipient,
         message,
@@ -304,6 +342,7 @@ class WebhookDeliveryService extends EventEmitter {
         type,
         chat_id,
         is_group,
+        ...(is_group && { group_name, group }),
         media,
         optimized: true
       };
@@ -71,13 +71,16 @@ console.error = (...args) => {
 };
 // ============================================================================
 
-const { default: makeWASocket, DisconnectReason, useMultiFileAuthState, fetchLatestBaileysVersion, makeCacheableSignalKeyStore, jidDecode, proto, generateWAMessageFromContent } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, DisconnectReason, useMultiFileAuthState, fetchLatestBaileysVersion, makeCacheableSignalKeyStore, jidDecode, jidNormalizedUser, proto, generateWAMessageFromContent, decryptPollVote, downloadMediaMessage, extractMessageContent } = require('@whiskeysockets/baileys');
 const qrcode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 const { db } = require('../config/database');
 const axios = require('axios');
 const logger = require('./logger');
 const webhookDeliveryService = require('./webhookDeliveryService');
+const mediaStorageService = require('./mediaStorageService');
+const { convertToVoiceNote, isVoiceNoteFormat, AudioConversionError } = require('./audioConverter');
+const { createSticker, isSupportedImage, StickerConversionError } = require('./stickerConverter');
 
 // ============================================================================
 // NEW ROBUST AUTH SYSTEM - Anti-Ban Protection
@@ -96,12 +99,33 @@ const pino = require('pino');
 const fs = require('fs');
 const path = require('path');
 const NodeCache = require('node-cache');
+const { matchOptKeyword } = require('./optOut');
 
 // CRITICAL FIX: Message retry counter cache (separate from message store!)
 // This tracks how many times each message has been retried for encryption
 // TTL prevents memory leaks, stdTTL is in seconds
 const msgRetryCounterCache = new NodeCache({ stdTTL: 600, checkperiod: 60 }); // 10 min TTL
 
+// Number checks and contact profiles - repeated lookups shouldn't hit WhatsApp
+// Keys are `${accountId}:${phone}`
+const numberCheckCache = new NodeCache({
+  stdTTL: parseInt(process.env.NUMBER_CHECK_CACHE_TTL_SECONDS, 10) || 86400,
+  checkperiod: 600,
+  maxKeys: 50000
+});
+const contactProfileCache = new NodeCache({
+  stdTTL: parseInt(process.env.CONTACT_PROFILE_CACHE_TTL_SECONDS, 10) || 3600,
+  checkperiod: 600,
+  maxKeys: 10000
+});
+
+// Suppression list lookups run before every send - keys are `${accountId}:${phone}`,
+// entries are replaced on every change made through this process
+const suppressionCache = new NodeCache({ stdTTL: 300, checkperiod: 120, maxKeys: 50000 });
+
+// Messages already auto-marked read - one receipt even when several webhooks deliver it
+const autoReadCache = new NodeCache({ stdTTL: 3600, checkperiod: 600, maxKeys: 50000 });
+
 // LID to Phone Number mapping cache (in-memory with size limit)
 const lidPhoneCache = new Map();
 const LID_CACHE_MAX_SIZE = 10000; // Prevent unbounded growth
@@ -173,6 +197,20 @@ logger.info(`[Instance] ID: ${INSTANCE_ID}`);
 // Connection locks - prevent concurrent connections to same account
 const connectionLocks = new Map(); // accountId -> { timestamp, instanceId }
 
+/**
+ * Error raised when WhatsApp work is rejected for a reason the caller must fix
+ * (duplicate content, unknown message, ...). Retrying the same request won't help.
+ * `status` is the HTTP status the API responds with, `code` a stable error code.
+ */
+class WhatsAppError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'WhatsAppError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
 // ANTI-BAN: Duplicate message detection
 // Prevents sending identical messages to same recipient in short period
 const recentMessageHashes = new Map(); // key: `${accountId}:${jid}:${msgHash}` -> timestamp
@@ -207,6 +245,120 @@ function isDuplicateMessage(accountId, jid, message) {
   return false;
 }
 
+// Escape a vCard text value (RFC 6350: backslash, newline, comma, semicolon)
+function escapeVCardValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * Build a vCard 3.0 that WhatsApp renders as a contact card
+ * The waid parameter makes the "Message" / "Add contact" buttons work
+ * @param {object} contact - { name, phones: string[], organization, email }
+ */
+function buildVCard(contact) {
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeVCardValue(contact.name)}`];
+  if (contact.organization) {
+    lines.push(`ORG:${escapeVCardValue(contact.organization)};`);
+  }
+  for (const phone of contact.phones) {
+    const digits = String(phone).replace(/[^\d]/g, '');
+    lines.push(`TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`);
+  }
+  if (contact.email) {
+    lines.push(`EMAIL:${escapeVCardValue(contact.email)}`);
+  }
+  lines.push('END:VCARD');
+  return lines.join('\n');
+}
+
+// Incoming message types whose file is downloaded and stored
+const MEDIA_MESSAGE_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+// WebMessageInfo.Status values of sent messages
+const MESSAGE_STATUS_NAMES = { 0: 'failed', 1: 'pending', 2: 'sent', 3: 'delivered', 4: 'read', 5: 'played' };
+// Later statuses win - receipts can arrive out of order ('delivered' after 'read')
+const MESSAGE_STATUS_ORDER = ['pending', 'sent', 'failed', 'delivered', 'read', 'played'];
+
+// Meaning of the per-participant error codes WhatsApp returns for group updates
+const GROUP_PARTICIPANT_ERRORS = {
+  '400': 'Invalid participant',
+  '401': 'Participant has blocked this account',
+  '403': 'Privacy settings prevent adding this participant - send an invite link instead',
+  '404': 'Not a WhatsApp user or not in the group',
+  '408': 'Participant recently left the group',
+  '409': 'Already a participant',
+  '500': 'Group is full'
+};
+
+/**
+ * Bytes from a stored message field - live protos hold Uint8Array/Buffer,
+ * rows from wa_messages hold base64 (proto toJSON) or serialized Buffers
+ */
+function toBytes(value) {
+  if (!value) return null;
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return Buffer.from(value);
+  if (typeof value === 'string') return Buffer.from(value, 'base64');
+  if (value.type === 'Buffer' && Array.isArray(value.data)) return Buffer.from(value.data);
+  if (typeof value === 'object') return Buffer.from(Object.values(value));
+  return null;
+}
+
+// Poll definition from a poll creation message (v1 = multi select, v3 = single select)
+function getPollCreation(message) {
+  return message?.pollCreationMessage ||
+    message?.pollCreationMessageV2 ||
+    message?.pollCreationMessageV3 ||
+    null;
+}
+
+// Furthest status reached among message_statuses rows
+function currentMessageStatus(rows) {
+  return rows.reduce((current, row) =>
+    MESSAGE_STATUS_ORDER.indexOf(row.status) > MESSAGE_STATUS_ORDER.indexOf(current) ? row.status : current,
+  null);
+}
+
+/**
+ * Type, text and media info of a sent message, for the message_logs history
+ * @returns {{ type: string, text: string|null, media: object|null }}
+ */
+function describeSentMessage(message) {
+  const content = extractMessageContent(message) || {};
+
+  for (const type of MEDIA_MESSAGE_TYPES) {
+    const media = content[`${type}Message`];
+    if (media) {
+      return {
+        type,
+        text: media.caption || null,
+        media: {
+          mimetype: media.mimetype || null,
+          filename: media.fileName || null,
+          size: media.fileLength ? Number(media.fileLength) : null
+        }
+      };
+    }
+  }
+
+  const poll = getPollCreation(content);
+  if (poll) return { type: 'poll', text: poll.name || null, media: null };
+  if (content.locationMessage) {
+    const { name, address } = content.locationMessage;
+    return { type: 'location', text: [name, address].filter(Boolean).join(', ') || null, media: null };
+  }
+  if (content.contactMessage) return { type: 'contact', text: content.contactMessage.displayName || null, media: null };
+  if (content.contactsArrayMessage) return { type: 'contact', text: content.contactsArrayMessage.displayName || null, media: null };
+
+  return {
+    type: 'text',
+    text: content.conversation || content.extendedTextMessage?.text || null,
+    media: null
+  };
+}
+
 /**
  * Generate stable per-account browser fingerprint
  * CRITICAL: Each account MUST have a unique fingerprint to avoid detection
@@ -289,21 +441,21 @@ async function restoreAuthFromDatabase(accountId) {
     } catch (e) {
       logger.error(`[Auth] Corrupted session for ${accountId}`);
       await db.clearSessionData(accountId);
-      return { restored: false, sessionPath };
+      return { restored: false, failed: true, reason: 'Saved session is corrupted', sessionPath };
     }
 
     // Version check
     if ((decoded.version || 1) < AUTH_SCHEMA_VERSION) {
       logger.warn(`[Auth] Old auth version for ${accountId}, clearing`);
       await db.clearSessionData(accountId);
-      return { restored: false, sessionPath };
+      return { restored: false, failed: true, reason: 'Saved session is from an old auth version', sessionPath };
     }
 
     // Must have valid creds with me.id
     if (!decoded?.creds?.me?.id) {
       logger.warn(`[Auth] No me.id in session for ${accountId}`);
       await db.clearSessionData(accountId);
-      return { restored: false, sessionPath };
+      return { restored: false, failed: true, reason: 'Saved session has no registered credentials', sessionPath };
     }
 
     // Ensure session directory exists
@@ -339,7 +491,7 @@ async function restoreAuthFromDatabase(accountId) {
 
   } catch (err) {
     logger.error(`[Auth] Restore failed for ${accountId}: ${err.message}`);
-    return { restored: false, sessionPath };
+    return { restored: false, failed: true, reason: `Session restore failed: ${err.message}`, sessionPath };
   }
 }
 
@@ -516,7 +668,8 @@ const rateLimiter = new AccountRateLimiter();
 
 // Global message store for retry support (in-memory cache + database persistence)
 // In-memory acts as L1 cache, database is persistent L2 storage
-// Key: messageId, Value: { message, timestamp, accountId }
+// Key: messageId, Value: { message, timestamp, accountId, remoteJid, fromMe, participant }
+// remoteJid/fromMe/participant rebuild the message key for quoted replies
 const globalMessageStore = new Map();
 const MESSAGE_STORE_MAX_SIZE = 5000; // Increased for better retry coverage
 const MESSAGE_STORE_TTL = 24 * 60 * 60 * 1000; // 24 hours in-memory (match DB)
@@ -536,6 +689,10 @@ setInterval(() => {
   }
 }, 5 * 60 * 1000); // Every 5 minutes
 
+// Group metadata is kept current by groups.update / group-participants.update,
+// the TTL only bounds staleness when an event was missed
+const GROUP_METADATA_TTL = parseInt(process.env.GROUP_METADATA_TTL_MS, 10) || 30 * 60 * 1000;
+
 // Cleanup old database messages every hour
 setInterval(async () => {
   try {
@@ -557,6 +714,8 @@ class WhatsAppManager {
     this.isShuttingDown = false;
     this.io = null;
     this.authStates = new Map();    // accountId -> { sessionPath, saveCreds }
+    this.groupCache = new Map();    // accountId -> Map(groupJid -> { metadata, fetchedAt })
+    this.blocklists = new Map();    // accountId -> Set of blocked phone numbers (synced from WhatsApp)
 
     // Minimal metrics
     this.metrics = {
@@ -579,6 +738,14 @@ class WhatsAppManager {
     // Periodic database sync for connected accounts (every 5 minutes)
     // This ensures auth is always saved in case of crashes
     setInterval(() => this.periodicAuthSync(), 300000);
+
+    // Auto-read: an incoming message counts as handled once a webhook accepted it
+    webhookDeliveryService.on('delivery-success', ({ job }) => {
+      const payload = job?.payload;
+      if (payload?.event === 'message' && payload.direction === 'incoming' && payload.message_id) {
+        this.autoMarkRead(job.account_id, payload);
+      }
+    });
   }
   
   // Periodic sync of auth to database for all connected accounts
@@ -666,6 +833,8 @@ class WhatsAppManager {
       this.clients.delete(accountId);
       this.qrCodes.delete(accountId);
       this.authStates.delete(accountId);
+      this.groupCache.delete(accountId);
+      this.blocklists.delete(accountId);
       // Release connection lock
       connectionLocks.delete(accountId);
     }
@@ -700,7 +869,7 @@ class WhatsAppManager {
       return account;
     } catch (error) {
       logger.error('Error creating account:', error);
-      this.accountStatus.set(accountId, 'error');
+      this.setAccountStatus(accountId, 'error', { reason: error.message });
       throw error;
     }
   }
@@ -747,7 +916,10 @@ class WhatsAppManager {
         const restoreResult = await restoreAuthFromDatabase(accountId);
         if (!restoreResult.restored) {
           logger.info(`[Auth] Account ${accountId} needs QR scan`);
-          this.accountStatus.set(accountId, 'needs_qr');
+          // A saved session that couldn't be used is reported as auth_failed
+          this.setAccountStatus(accountId, 'needs_qr', restoreResult.failed
+            ? { state: 'auth_failed', reason: restoreResult.reason }
+            : {});
         }
       }
 
@@ -825,11 +997,13 @@ class WhatsAppManager {
           // Message not found - THIS CAUSES "Waiting for this message"
           logger.error(`[getMessage] ❌ Message ${key.id?.slice(0, 20)}... NOT FOUND for retry - receiver will see "Waiting for this message"`);
           return undefined;
-        }
+        },
+        // Lets Baileys skip a metadata query on every group send
+        cachedGroupMetadata: async (jid) => this.getCachedGroupMetadata(accountId, jid) || undefined
       });
 
       this.clients.set(accountId, sock);
-      this.accountStatus.set(accountId, 'initializing');
+      this.setAccountStatus(accountId, 'initializing');
 
       // Record activity for human behavior tracking
       humanBehaviorSimulator.recordActivity(accountId);
@@ -840,7 +1014,7 @@ class WhatsAppManager {
       return sock;
     } catch (error) {
       logger.error(`Error starting Baileys client for ${accountId}:`, error);
-      this.accountStatus.set(accountId, 'error');
+      this.setAccountStatus(accountId, 'error', { reason: error.message });
       throw error;
     }
   }
@@ -883,7 +1057,8 @@ class WhatsAppManager {
             updated_at: new Date().toISOString()
           });
 
-          this.accountStatus.set(accountId, 'qr_ready');
+          // QR codes rotate every ~30s while waiting - only the first one is an event
+          this.setAccountStatus(accountId, 'qr_ready');
           this.emitToAll('qr', { accountId, qr: qrDataUrl });
 
           logger.info(`QR generated for ${accountId}`);
@@ -908,15 +1083,19 @@ class WhatsAppManager {
           }
         }
 
+        // Keep the rest of the metadata (call settings, ...). If the account can't be read,
+        // leave metadata alone - writing only the picture would wipe those settings
+        const account = await db.getAccount(accountId).catch(() => null);
+
         await db.updateAccount(accountId, {
           status: 'ready',
           phone_number: phoneNumber,
-          metadata: { profile_picture_url: profilePictureUrl },
+          ...(account && { metadata: { ...(account.metadata || {}), profile_picture_url: profilePictureUrl } }),
           last_active_at: new Date().toISOString(),
           updated_at: new Date().toISOString()
         });
 
-        this.accountStatus.set(accountId, 'ready');
+        this.setAccountStatus(accountId, 'ready', { phone_number: phoneNumber });
         this.qrCodes.delete(accountId);
         this.reconnecting.delete(accountId);
         this.reconnectAttempts.delete(accountId);
@@ -957,6 +1136,11 @@ class WhatsAppManager {
           }
         }, totalPresenceDelay);
 
+        // Local copy of the blocklist - incoming messages from blocked numbers are dropped
+        this.syncBlocklist(accountId, sock).catch(e => {
+          logger.warn(`[${accountId}] Blocklist sync failed: ${e.message}`);
+        });
+
         this.emitToAll('ready', { accountId, phoneNumber });
         logger.info(`✅ WhatsApp ready for ${accountId} (${phoneNumber})`);
       }
@@ -965,6 +1149,8 @@ class WhatsAppManager {
       if (connection === 'close') {
         const statusCode = lastDisconnect?.error?.output?.statusCode;
         const reason = DisconnectReason[statusCode] || lastDisconnect?.error?.message || 'unknown';
+        let nextStatus = this.accountStatus.get(accountId); // unchanged unless a branch below sets it
+        let reconnectDelayMs = null; // set when a reconnect is scheduled
 
         logger.warn(`Disconnected ${accountId}: ${reason} (code: ${statusCode})`);
 
@@ -998,7 +1184,7 @@ class WhatsAppManager {
             error_message: 'Logged out - QR scan required',
             updated_at: new Date().toISOString()
           });
-          this.accountStatus.set(accountId, 'disconnected');
+          nextStatus = 'disconnected';
           this.clients.delete(accountId);
           this.authStates.delete(accountId);
           this.reconnectAttempts.delete(accountId);
@@ -1028,11 +1214,12 @@ class WhatsAppManager {
               error_message: 'Connection replaced multiple times - close WhatsApp on other devices and try again in 1 hour',
               updated_at: new Date().toISOString()
             }).catch(e => logger.debug(`DB update failed (non-critical): ${e.message}`));
-            this.accountStatus.set(accountId, 'disconnected');
+            nextStatus = 'disconnected';
             this.clients.delete(accountId);
           } else {
             logger.info(`Connection replaced for ${accountId}. Waiting ${backoffMs/1000}s...`);
-            this.accountStatus.set(accountId, 'reconnecting');
+            nextStatus = 'reconnecting';
+            reconnectDelayMs = backoffMs;
             
             setTimeout(async () => {
               if (!this.isShuttingDown && !this.deletedAccounts.has(accountId)) {
@@ -1054,13 +1241,14 @@ class WhatsAppManager {
           logger.info(`[Reconnect] ${reasonType} for ${accountId} (QR phase: ${isQrPhase})`);
           
           if (!isQrPhase) {
-            this.accountStatus.set(accountId, 'reconnecting');
+            nextStatus = 'reconnecting';
           }
           
           // ANTI-BAN: Use connection quality monitor for intelligent backoff
           const reconnectDelay = connectionQualityMonitor.getRecommendedDelay(accountId);
           
           logger.info(`[Reconnect] Will retry ${accountId} in ${Math.round(reconnectDelay/1000)}s...`);
+          reconnectDelayMs = reconnectDelay;
           
           setTimeout(async () => {
             if (!this.isShuttingDown && !this.deletedAccounts.has(accountId)) {
@@ -1073,19 +1261,20 @@ class WhatsAppManager {
                   await this.startBaileysClient(accountId, true);
                 } catch (err) {
                   logger.error(`[Reconnect] Failed for ${accountId}:`, err.message);
-                  this.accountStatus.set(accountId, 'disconnected');
+                  this.setAccountStatus(accountId, 'disconnected', { reason: err.message });
                 }
               }
             }
           }, reconnectDelay);
         } else if (shouldReconnect && !this.isShuttingDown) {
           // Normal disconnect - reconnect with intelligent backoff
-          this.accountStatus.set(accountId, 'reconnecting');
+          nextStatus = 'reconnecting';
           this.reconnectAttempts.delete(accountId);
           
           // ANTI-BAN: Use connection quality monitor for delay
           const normalDelay = connectionQualityMonitor.getRecommendedDelay(accountId);
           logger.info(`[Reconnect] Will reconnect ${accountId} in ${Math.round(normalDelay/1000)}s...`);
+          reconnectDelayMs = normalDelay;
           
           setTimeout(async () => {
             if (!this.isShuttingDown && !this.reconnecting.has(accountId) && !this.deletedAccounts.has(accountId)) {
@@ -1094,7 +1283,7 @@ class WhatsAppManager {
                 await this.startBaileysClient(accountId);
               } catch (err) {
                 logger.error(`Reconnect failed for ${accountId}:`, err.message);
-                this.accountStatus.set(accountId, 'disconnected');
+                this.setAccountStatus(accountId, 'disconnected', { reason: err.message });
               }
             }
           }, normalDelay);
@@ -1104,9 +1293,17 @@ class WhatsAppManager {
             error_message: reason,
             updated_at: new Date().toISOString()
           });
-          this.accountStatus.set(accountId, 'disconnected');
+          nextStatus = 'disconnected';
         }
 
+        const state = nextStatus || 'disconnected';
+        this.setAccountStatus(accountId, state, {
+          reason,
+          status_code: statusCode ?? null,
+          reconnect_scheduled: reconnectDelayMs !== null,
+          reconnect_delay_ms: reconnectDelayMs,
+          qr_required: statusCode === DisconnectReason.loggedOut || state === 'qr_ready' || state === 'needs_qr'
+        });
         this.emitToAll('disconnected', { accountId, reason });
       }
     });
@@ -1151,6 +1348,29 @@ class WhatsAppManager {
       }
     });
 
+    // Group metadata cache - new groups, subject/description/settings changes, membership
+    sock.ev.on('groups.upsert', (groups) => {
+      for (const group of groups) {
+        this.setCachedGroupMetadata(accountId, group);
+      }
+    });
+
+    sock.ev.on('groups.update', (updates) => {
+      for (const update of updates) {
+        const cached = this.getCachedGroupMetadata(accountId, update.id);
+        if (cached) {
+          this.setCachedGroupMetadata(accountId, { ...cached, ...update });
+        }
+        this.handleGroupUpdate(accountId, update, cached);
+      }
+    });
+
+    sock.ev.on('group-participants.update', (update) => {
+      const cached = this.getCachedGroupMetadata(accountId, update.id);
+      this.applyGroupParticipantsUpdate(accountId, update.id, update.participants, update.action);
+      this.handleGroupParticipantsUpdate(accountId, update, cached);
+    });
+
     // Incoming messages - handle without triggering mid-decrypt saves
     sock.ev.on('messages.upsert', async ({ messages, type }) => {
       if (type !== 'notify') return;
@@ -1168,13 +1388,16 @@ class WhatsAppManager {
             globalMessageStore.set(message.key.id, {
               message: message.message,
               timestamp: Date.now(),
-              accountId
+              accountId,
+              remoteJid: message.key.remoteJid,
+              fromMe: !!message.key.fromMe,
+              participant: message.key.participant
             });
             
             // L2: Persist to database - AWAIT to ensure reliability
             const direction = message.key.fromMe ? 'out' : 'in';
             try {
-              const stored = await db.storeMessage(accountId, message.key.id, message.message, direction, message.key.remoteJid);
+              const stored = await db.storeMessage(accountId, message.key.id, message.message, direction, message.key.remoteJid, message.key.participant);
               if (stored) {
                 logger.info(`[MsgStore] ✅ Stored ${direction} message ${message.key.id?.slice(0, 15)}... in DB`);
               } else {
@@ -1196,13 +1419,17 @@ class WhatsAppManager {
       // Note: Auth saves are handled by creds.update which is already gated
     });
 
-    // Message status updates (sent, delivered, read)
+    // Message status updates (sent, delivered, read, played, failed)
     sock.ev.on('messages.update', async (updates) => {
       for (const update of updates) {
         try {
-          if (update.update?.status) {
-            const statusNames = { 1: 'pending', 2: 'sent', 3: 'delivered', 4: 'read' };
-            const statusName = statusNames[update.update.status] || 'unknown';
+          if (typeof update.update?.status === 'number') {
+            const statusName = MESSAGE_STATUS_NAMES[update.update.status] || 'unknown';
+
+            if (update.key.fromMe && statusName !== 'unknown') {
+              const chatId = getPhoneNumber(update.key.remoteJid);
+              this.recordMessageStatus(accountId, update.key.id, chatId, [{ recipient: chatId, status: statusName }]);
+            }
 
             if (update.update.status >= 3) {
               const msgData = {
@@ -1226,18 +1453,57 @@ class WhatsAppManager {
       }
     });
 
-    // Handle message receipt updates (delivery/read confirmations)
+    // Per-participant receipts of group messages (delivered/read by each member)
     sock.ev.on('message-receipt.update', async (receipts) => {
-      for (const receipt of receipts) {
+      for (const { key, receipt } of receipts) {
         try {
-          const receiptType = receipt.receipt?.receiptTimestamp ? 'delivered' : 
-                             receipt.receipt?.readTimestamp ? 'read' : 'unknown';
-          logger.debug(`📨 Receipt update for ${receipt.key?.id?.slice(0, 15)}...: ${receiptType}`);
+          if (!key?.fromMe || !receipt?.userJid) continue;
+
+          const recipient = getPhoneNumber(receipt.userJid);
+          const entries = [
+            ['delivered', receipt.receiptTimestamp],
+            ['read', receipt.readTimestamp],
+            ['played', receipt.playedTimestamp]
+          ]
+            .filter(([, timestamp]) => timestamp)
+            .map(([status, timestamp]) => ({ recipient, status, at: new Date(Number(timestamp) * 1000) }));
+
+          if (entries.length) {
+            this.recordMessageStatus(accountId, key.id, getPhoneNumber(key.remoteJid), entries);
+            logger.debug(`📨 Receipt update for ${key.id?.slice(0, 15)}...: ${entries.map(e => e.status).join(', ')} by ${recipient}`);
+          }
         } catch (error) {
           logger.warn('Message receipt handler error:', error.message);
         }
       }
     });
+
+    // Presence of subscribed contacts (online/last seen) and typing/recording in chats
+    sock.ev.on('presence.update', (update) => {
+      try {
+        this.handlePresenceUpdate(accountId, update);
+      } catch (error) {
+        logger.warn('Presence handler error:', error.message);
+      }
+    });
+
+    // Contacts blocked/unblocked on the phone or another linked device
+    sock.ev.on('blocklist.update', ({ blocklist, type }) => {
+      for (const jid of blocklist || []) {
+        this.applyBlockStatus(accountId, getPhoneNumber(jid), type === 'add', 'whatsapp');
+      }
+    });
+
+    // Incoming voice/video calls (offer, then ringing/timeout/reject/accept/terminate)
+    sock.ev.on('call', async (calls) => {
+      for (const call of calls) {
+        try {
+          await this.handleIncomingCall(sock, accountId, call);
+        } catch (error) {
+          logger.warn('Call handler error:', error.message);
+        }
+      }
+    });
   }
 
   async handleIncomingMessage(sock, accountId, message) {
@@ -1304,6 +1570,30 @@ class WhatsAppManager {
       
       // For chat_id, use cached phone if available
       const chatPhone = getPhoneNumber(chatJid);
+
+      // Blocked contacts get no webhooks and no chatbot reply (their group messages included)
+      if (this.isBlocked(accountId, senderPhone)) {
+        logger.debug(`🚫 Ignoring message from blocked ${senderPhone}`);
+        return;
+      }
+
+      // Reactions reference another message - deliver as their own event, no chatbot
+      if (messageContent.reactionMessage) {
+        await this.handleIncomingReaction(accountId, message, senderPhone, chatPhone);
+        return;
+      }
+
+      // Poll votes are encrypted against the poll they belong to
+      if (messageContent.pollUpdateMessage) {
+        await this.handleIncomingPollVote(sock, accountId, message, senderPhone, chatPhone);
+        return;
+      }
+
+      // Edits, revokes and other protocol messages are never regular messages
+      if (messageContent.protocolMessage) {
+        await this.handleIncomingProtocolMessage(accountId, message, senderPhone, chatPhone);
+        return;
+      }
       
       // Log with actual phone number
       logger.info(`📩 Incoming message from ${senderPhone}: "${messageText?.slice(0, 50) || '[media]'}"`);
@@ -1319,7 +1609,12 @@ class WhatsAppManager {
       else if (messageContent.locationMessage) messageType = 'location';
       else if (messageContent.interactiveResponseMessage) messageType = 'interactive_reply';
 
+      const media = MEDIA_MESSAGE_TYPES.includes(messageType)
+        ? await this.downloadIncomingMedia(sock, accountId, message, messageType)
+        : null;
+
       const isGroup = chatJid.endsWith('@g.us');
+      const groupInfo = isGroup ? await this.getGroupInfo(accountId, chatJid, senderPhone) : null;
 
       const messageData = {
         event: 'message',  // Event type for webhook filtering
@@ -1333,9 +1628,11 @@ class WhatsAppManager {
         type: messageType,
         chat_id: chatPhone,  // Phone number for consistent lookups
         is_group: isGroup,
-        group_name: null,
+        group_name: groupInfo?.name || null,
+        group: groupInfo,  // { id, name, size, participants, admins, sender_is_admin } (null for 1:1 chats)
         status: 'success',
         interactive_reply: interactiveReply, // Button/list reply data (null if not interactive)
+        media, // { id, url, mimetype, filename, size, sha256 } for media messages, otherwise null
         created_at: new Date().toISOString()
       };
 
@@ -1346,16 +1643,37 @@ class WhatsAppManager {
         logger.warn(`Failed to update last_active_at: ${err.message}`);
       });
 
+      // Chat history (message_logs)
+      db.logMessage({
+        ...messageData,
+        metadata: { group: groupInfo, interactive_reply: interactiveReply }
+      }).catch(err => {
+        logger.warn(`[MessageLog] Failed to log incoming message: ${err.message}`);
+      });
+
       // Queue webhook deliveries
-      this.queueWebhookDeliveries(accountId, messageData).catch(err => {
+      this.queueIncomingWebhookDeliveries(accountId, isGroup ? chatPhone : senderPhone, messageData).catch(err => {
         logger.error(`Webhook queue error:`, err);
       });
 
-      // Process through chatbot (if enabled for this account)
-      if (messageText && !isGroup) {
+      // STOP / START keywords update the suppression list and get no chatbot reply
+      const optKeyword = isGroup ? null : matchOptKeyword(messageText);
+      if (optKeyword) {
+        await this.applyOptKeyword(accountId, senderPhone, optKeyword);
+      }
+
+      // Process through chatbot (if enabled for this account) - never for opted-out contacts
+      // or contacts with the chatbot turned off in number settings
+      const skipChatbot = !!optKeyword ||
+        (!!messageText && !isGroup && (
+          await this.isSuppressed(accountId, senderPhone).catch(() => true) ||
+          !(await db.isChatbotEnabledForNumber(accountId, senderPhone))
+        ));
+      if (messageText && !isGroup && !skipChatbot) {
         try {
           logger.info(`[Chatbot] Processing message for account ${accountId}...`);
           const aiResponse = await chatbotManager.processMessage(accountId, {
+            id: message.key.id,
             body: messageText,
             from: senderPhone,  // Use phone number for chatbot context
             getChat: async () => ({})
@@ -1402,18 +1720,22 @@ class WhatsAppManager {
                   globalMessageStore.set(result.key.id, {
                     message: result.message,
                     timestamp: Date.now(),
-                    accountId
+                    accountId,
+                    remoteJid: replyJid,
+                    fromMe: true
                   });
                   // Also persist to DB
                   db.storeMessage(accountId, result.key.id, result.message, 'out', replyJid).catch(e => {
                     logger.warn(`[Chatbot] DB store error: ${e.message}`);
                   });
+                  this.logOutgoingMessage(accountId, replyJid, result);
                 }
                 
                 // ANTI-BAN: Record message for rate limiting
                 rateLimiter.recordMessage(accountId);
                 
                 logger.info(`[Chatbot] ✅ Response sent to ${chatPhone} (msgId: ${result?.key?.id?.slice(0, 10)}...)`);
+                this.autoMarkRead(accountId, { message_id: message.key.id, chat_id: chatPhone, sender: senderPhone, is_group: false });
               }
             } catch (sendError) {
               logger.error(`[Chatbot] ❌ Failed to send response: ${sendError.message}`);
@@ -1432,507 +1754,2103 @@ class WhatsAppManager {
     }
   }
 
-  async queueWebhookDeliveries(accountId, messageData) {
-    try {
-      const webhooks = await db.getWebhooks(accountId);
-      const activeWebhooks = (webhooks || []).filter(w => w.is_active);
+  async handleIncomingReaction(accountId, message, senderPhone, chatPhone) {
+    const reaction = message.message.reactionMessage;
+    const emoji = reaction.text || '';
+
+    const reactionData = {
+      event: 'reaction',
+      account_id: accountId,
+      message_id: message.key.id,
+      target_message_id: reaction.key?.id,
+      target_from_me: !!reaction.key?.fromMe, // true = reaction to a message we sent
+      emoji,
+      removed: !emoji,
+      sender: senderPhone,
+      chat_id: chatPhone,
+      is_group: message.key.remoteJid.endsWith('@g.us'),
+      timestamp: message.messageTimestamp,
+      created_at: new Date().toISOString()
+    };
 
-      if (activeWebhooks.length > 0) {
-        await webhookDeliveryService.queueDeliveries(accountId, activeWebhooks, messageData);
-      }
-    } catch (error) {
-      logger.error(`Webhook delivery error:`, error);
-    }
+    logger.info(`👍 Reaction from ${senderPhone}: ${emoji || '(removed)'} on ${reaction.key?.id?.slice(0, 15)}...`);
+
+    this.emitToAccount(accountId, 'reaction', reactionData);
+    this.queueIncomingWebhookDeliveries(accountId, reactionData.is_group ? chatPhone : senderPhone, reactionData).catch(err => {
+      logger.error(`Webhook queue error:`, err);
+    });
   }
 
-  formatPhoneNumber(number) {
-    if (number.includes('@')) return number;
+  /**
+   * Decrypt a poll vote with the stored poll creation message, record it and
+   * deliver a poll_vote event. Votes on polls no longer in wa_messages are dropped.
+   */
+  async handleIncomingPollVote(sock, accountId, message, senderPhone, chatPhone) {
+    const pollUpdate = message.message.pollUpdateMessage;
+    const creationKey = pollUpdate.pollCreationMessageKey;
+    const pollMessageId = creationKey?.id;
 
-    let cleaned = number.replace(/[^\d]/g, '').replace(/^0+/, '');
+    const poll = pollMessageId ? await this.findStoredMessage(accountId, pollMessageId) : null;
+    const creation = getPollCreation(poll?.message);
+    const pollEncKey = toBytes(poll?.message?.messageContextInfo?.messageSecret);
 
-    if (cleaned.length === 10) {
-      cleaned = '91' + cleaned;
+    if (!creation || !pollEncKey) {
+      logger.warn(`[Poll] Vote from ${senderPhone} for unknown poll ${pollMessageId?.slice(0, 15)}... - creation message not stored`);
+      return;
     }
 
-    return cleaned + '@s.whatsapp.net';
-  }
+    // The vote is bound to the creator and voter JIDs; with LID addressing either
+    // side may be a phone JID or a LID, so try each combination
+    const creatorJids = creationKey.fromMe
+      ? [sock.user?.id, sock.user?.lid]
+      : [creationKey.participant || creationKey.remoteJid];
+    const voterJids = [
+      message.key.participant || message.key.remoteJid,
+      message.key.senderPn,
+      message.key.participantPn
+    ];
+
+    let vote = null;
+    for (const creatorJid of new Set(creatorJids.filter(Boolean).map(jidNormalizedUser))) {
+      for (const voterJid of new Set(voterJids.filter(Boolean).map(jidNormalizedUser))) {
+        try {
+          vote = decryptPollVote(pollUpdate.vote, {
+            pollCreatorJid: creatorJid,
+            pollMsgId: pollMessageId,
+            pollEncKey,
+            voterJid
+          });
+          break;
+        } catch (e) { /* wrong JID pair - try the next */ }
+      }
+      if (vote) break;
+    }
 
-  async sendMessage(accountId, number, message, options = {}) {
-    // PRE-CHECK: Fail fast if account doesn't exist
-    if (!this.clients.has(accountId)) throw new Error('Client not found');
+    if (!vote) {
+      logger.warn(`[Poll] Could not decrypt vote from ${senderPhone} on poll ${pollMessageId.slice(0, 15)}...`);
+      return;
+    }
 
-    const jid = this.formatPhoneNumber(number);
+    // Selected options arrive as SHA-256 hashes of the option names
+    const optionsByHash = new Map(
+      (creation.options || []).map(option => [
+        crypto.createHash('sha256').update(Buffer.from(option.optionName)).digest('hex'),
+        option.optionName
+      ])
+    );
+    const selectedOptions = (vote.selectedOptions || [])
+      .map(hash => optionsByHash.get(Buffer.from(hash).toString('hex')))
+      .filter(Boolean);
 
-    // ANTI-BAN: Check for duplicate message (same content to same recipient within 60s)
-    if (isDuplicateMessage(accountId, jid, message)) {
-      logger.warn(`[Anti-Ban] Blocked duplicate message to ${jid.split('@')[0]} within 60s window`);
-      throw new Error('Duplicate message blocked - same content sent to this recipient within 60 seconds');
+    try {
+      await db.upsertPollVote({
+        accountId,
+        pollMessageId,
+        chatId: chatPhone,
+        voter: senderPhone,
+        selectedOptions
+      });
+    } catch (e) {
+      logger.error(`[Poll] Failed to record vote: ${e.message}`);
     }
 
-    try {
-      // Anti-ban: Wait for rate limit with jitter
-      await rateLimiter.waitWithJitter(accountId);
+    const voteData = {
+      event: 'poll_vote',
+      account_id: accountId,
+      message_id: message.key.id,
+      poll_message_id: pollMessageId,
+      poll_name: creation.name,
+      voter: senderPhone,
+      selected_options: selectedOptions, // empty = vote withdrawn
+      chat_id: chatPhone,
+      is_group: message.key.remoteJid.endsWith('@g.us'),
+      timestamp: message.messageTimestamp,
+      created_at: new Date().toISOString()
+    };
 
-      // CRITICAL FIX: Retreive socket specifically AFTER the wait
-      let sock = this.clients.get(accountId);
-      let status = this.accountStatus.get(accountId);
+    logger.info(`📊 Poll vote from ${senderPhone} on "${creation.name}": ${selectedOptions.join(', ') || '(withdrawn)'}`);
 
-      if (!sock || status !== 'ready') {
-        throw new Error(`Client not ready after wait: ${status}`);
+    this.emitToAccount(accountId, 'poll_vote', voteData);
+    this.queueIncomingWebhookDeliveries(accountId, voteData.is_group ? chatPhone : senderPhone, voteData).catch(err => {
+      logger.error(`Webhook queue error:`, err);
+    });
+  }
+
+  /**
+   * Tally of a poll: every option with its votes and voters
+   * Options come from the stored poll; if it has expired, only voted options are listed
+   */
+  async getPollResults(accountId, pollMessageId) {
+    const [poll, votes] = await Promise.all([
+      this.findStoredMessage(accountId, pollMessageId),
+      db.getPollVotes(accountId, pollMessageId)
+    ]);
+    const creation = getPollCreation(poll?.message);
+
+    if (!creation && votes.length === 0) {
+      throw new WhatsAppError(`Poll ${pollMessageId} not found`, 'POLL_NOT_FOUND', 404);
+    }
+
+    const tally = new Map((creation?.options || []).map(option => [option.optionName, []]));
+    for (const vote of votes) {
+      for (const option of vote.selected_options || []) {
+        if (!tally.has(option)) tally.set(option, []);
+        tally.get(option).push(vote.voter);
       }
+    }
 
-      // ANTI-BAN: Use human behavior simulator for typing indicator
-      // Calculate typing time based on message length (~40 WPM = ~200ms per char)
-      // Min 1.5s for short messages, max 12s for very long messages
-      const charsPerSecond = humanBehaviorSimulator.randomDelay(4, 8); // 4-8 chars/sec (30-60 WPM)
-      const baseTypingMs = (message.length / charsPerSecond) * 1000;
-      const typingDelayMs = Math.min(12000, Math.max(1500, baseTypingMs));
-      
-      try {
-        await sock.presenceSubscribe(jid);
-        await sock.sendPresenceUpdate('composing', jid);
-        
-        // Add jitter to typing duration (±30%)
-        await humanBehaviorSimulator.waitWithJitter(typingDelayMs, 0.3);
-        
-        await sock.sendPresenceUpdate('paused', jid);
-      } catch (e) { /* ignore presence errors */ }
+    const activeVoters = votes.filter(vote => (vote.selected_options || []).length > 0);
 
-      // Re-fetch socket one last time before critical send
-      sock = this.clients.get(accountId);
-      if (!sock) throw new Error('Client lost connection during typing delay');
+    return {
+      poll_message_id: pollMessageId,
+      question: creation?.name || null,
+      allow_multiple: creation ? creation.selectableOptionsCount !== 1 : null,
+      total_voters: activeVoters.length,
+      options: Array.from(tally, ([name, voters]) => ({ name, votes: voters.length, voters })),
+      updated_at: votes.length ? votes[votes.length - 1].updated_at : null
+    };
+  }
 
-      // Record activity for human behavior tracking
-      humanBehaviorSimulator.recordActivity(accountId);
+  async handleIncomingProtocolMessage(accountId, message, senderPhone, chatPhone) {
+    const protocol = message.message.protocolMessage;
+    const { Type } = proto.Message.ProtocolMessage;
+
+    let eventData;
+    if (protocol.type === Type.REVOKE) {
+      eventData = { event: 'message_deleted' };
+    } else if (protocol.type === Type.MESSAGE_EDIT) {
+      const edited = protocol.editedMessage || {};
+      eventData = {
+        event: 'message_edited',
+        message: edited.conversation ||
+          edited.extendedTextMessage?.text ||
+          edited.imageMessage?.caption ||
+          edited.videoMessage?.caption ||
+          ''
+      };
+    } else {
+      // History sync, ephemeral settings, key shares... - nothing to deliver
+      logger.debug(`Ignoring protocol message type ${protocol.type} from ${senderPhone}`);
+      return;
+    }
 
-      // Create message content
-      const msgContent = { text: message };
-      
-      const result = await sock.sendMessage(jid, msgContent);
+    eventData = {
+      ...eventData,
+      account_id: accountId,
+      message_id: protocol.key?.id, // the edited/deleted message
+      chat_id: chatPhone,
+      is_group: message.key.remoteJid.endsWith('@g.us'),
+      from_me: false,
+      sender: senderPhone,
+      timestamp: message.messageTimestamp,
+      created_at: new Date().toISOString()
+    };
 
-      // Log successful send
-      logger.info(`📤 Message sent to ${jid.split('@')[0]} - ID: ${result?.key?.id?.slice(0, 15)}...`);
+    logger.info(`${eventData.event === 'message_edited' ? '✏️' : '🗑️'} ${eventData.event} by ${senderPhone}: ${protocol.key?.id?.slice(0, 15)}...`);
 
-      // Record message for rate limiting
-      rateLimiter.recordMessage(accountId);
+    this.emitToAccount(accountId, eventData.event, eventData);
+    this.logMessageChange(accountId, eventData);
+    this.queueIncomingWebhookDeliveries(accountId, eventData.is_group ? chatPhone : senderPhone, eventData).catch(err => {
+      logger.error(`Webhook queue error:`, err);
+    });
+  }
 
-      // Store message in global store for retry support (prevents "Waiting for this message")
-      // CRITICAL: Store result.message (the actual proto.IMessage), NOT msgContent (the input)
-      // Baileys getMessage callback expects the proto.IMessage format
-      if (result?.key?.id && result.message) {
-        // L1: Store in memory (fast access)
-        if (globalMessageStore.size >= MESSAGE_STORE_MAX_SIZE) {
-          const oldestKey = globalMessageStore.keys().next().value;
-          globalMessageStore.delete(oldestKey);
-        }
-        globalMessageStore.set(result.key.id, {
-          message: result.message,  // FIXED: Store proto.IMessage, not input
-          timestamp: Date.now(),
-          accountId
-        });
-        
-        logger.info(`[MsgStore] ✅ Memory: Stored message ${result.key.id?.slice(0, 15)}...`);
-        
-        // L2: Persist to database (survives restarts) - AWAIT to ensure it's stored
+  /**
+   * Deliver a presence event per participant. Baileys reports "stopped typing"
+   * (paused) as available, so typing indicators end with an `available` event.
+   */
+  handlePresenceUpdate(accountId, { id, presences }) {
+    const chatId = getPhoneNumber(id);
+    const isGroup = id.endsWith('@g.us');
+
+    for (const [participant, presence] of Object.entries(presences || {})) {
+      const number = getPhoneNumber(participant);
+      const presenceData = {
+        event: 'presence',
+        account_id: accountId,
+        chat_id: chatId,
+        is_group: isGroup,
+        number,
+        presence: presence.lastKnownPresence,
+        last_seen: presence.lastSeen ? new Date(presence.lastSeen * 1000).toISOString() : null,
+        created_at: new Date().toISOString()
+      };
+
+      logger.debug(`👀 Presence ${number}${isGroup ? ` in ${chatId}` : ''}: ${presenceData.presence}`);
+
+      this.emitToAccount(accountId, 'presence', presenceData);
+      this.queueIncomingWebhookDeliveries(accountId, isGroup ? chatId : number, presenceData).catch(err => {
+        logger.error(`Webhook queue error:`, err);
+      });
+    }
+  }
+
+  /**
+   * Deliver a call event; new offers are rejected (and optionally answered with a
+   * text reply) when the account has auto_reject turned on in its call settings
+   */
+  async handleIncomingCall(sock, accountId, call) {
+    const callerPhone = getPhoneNumber(call.from);
+    let rejected = false;
+
+    // Offers replayed after reconnecting (offline) have already stopped ringing
+    if (call.status === 'offer' && !call.offline) {
+      const settings = await this.getCallSettings(accountId).catch(() => null);
+
+      if (settings?.auto_reject) {
         try {
-          const dbStored = await db.storeMessage(accountId, result.key.id, result.message, 'out', jid);
-          if (dbStored) {
-            logger.info(`[MsgStore] ✅ Database: Stored message ${result.key.id?.slice(0, 15)}...`);
+          await sock.rejectCall(call.id, call.from);
+          rejected = true;
+          logger.info(`📵 Auto-rejected ${call.isVideo ? 'video' : 'voice'} call from ${callerPhone}`);
+        } catch (error) {
+          logger.warn(`Failed to reject call ${call.id} from ${callerPhone}:`, error.message);
+        }
+
+        // Normal send path - rate limits, duplicate and opt-out checks apply
+        if (rejected && settings.reply_message) {
+          // Reply to the caller's phone JID; an @lid caller with no known number can't be answered
+          const hasPhone = !call.from.endsWith('@lid') || lidPhoneCache.has(jidDecode(call.from)?.user);
+          if (!hasPhone) {
+            logger.warn(`Call auto-reply skipped: no phone number known for ${call.from}`);
           } else {
-            logger.warn(`[MsgStore] ⚠️ Database: Failed to store message ${result.key.id?.slice(0, 15)}... - retry may fail`);
+            this.sendMessage(accountId, `${callerPhone}@s.whatsapp.net`, settings.reply_message).catch(error => {
+              logger.warn(`Call auto-reply to ${callerPhone} not sent: ${error.message}`);
+            });
           }
-        } catch (e) {
-          logger.error(`[MsgStore] ❌ Database store error: ${e.message}`);
         }
-      } else {
-        logger.warn(`[MsgStore] ⚠️ Could not store message - missing key.id or message body`);
       }
+    }
 
-      await db.updateAccount(accountId, {
-        last_active_at: new Date().toISOString()
-      });
+    const callData = {
+      event: 'call',
+      account_id: accountId,
+      call_id: call.id,
+      from: callerPhone,
+      chat_id: getPhoneNumber(call.chatId || call.from),
+      is_video: !!call.isVideo,
+      is_group: !!call.isGroup,
+      group_id: call.groupJid ? getPhoneNumber(call.groupJid) : null,
+      status: call.status,
+      offline: !!call.offline,
+      rejected,
+      timestamp: call.date ? Math.floor(new Date(call.date).getTime() / 1000) : null,
+      created_at: new Date().toISOString()
+    };
 
-      this.metrics.messagesProcessed++;
+    logger.info(`📞 Call ${call.status} from ${callerPhone}${call.isVideo ? ' (video)' : ''}`);
 
-       // OPTIMIZED: Remove aggressive flush on every message
-       // The 'creds.update' event is already debounced and handles key rotation.
-       // We trust the 500ms debounce we added earlier to catch this without hammering DB.
-       
-      return {
-        success: true,
-        messageId: result.key.id,
-        timestamp: Math.floor(Date.now() / 1000)
-      };
-    } catch (error) {
-      this.metrics.messagesFailed++;
-      throw error;
-    }
-    // Note: No gating needed - keys are saved atomically by createAtomicKeyStore
+    this.emitToAccount(accountId, 'call', callData);
+    this.queueIncomingWebhookDeliveries(accountId, callerPhone, callData).catch(err => {
+      logger.error(`Webhook queue error:`, err);
+    });
   }
 
-  async sendMedia(accountId, number, media, caption = '', options = {}) {
-    // PRE-CHECK: just to fail fast, but we'll fetch again later
-    if (!this.clients.has(accountId)) throw new Error('Client not found');
+  /**
+   * Deliver a group_participants event (members added/removed/promoted/demoted).
+   * `cached` is the group metadata from before the change, for the group name.
+   */
+  handleGroupParticipantsUpdate(accountId, { id, author, participants, action }, cached) {
+    const groupId = getPhoneNumber(id);
+    const eventData = {
+      event: 'group_participants',
+      account_id: accountId,
+      group_id: groupId,
+      group_name: cached?.subject || null,
+      action,
+      actor: author ? getPhoneNumber(author) : null,
+      participants: (participants || []).map(jid => getPhoneNumber(jid)),
+      created_at: new Date().toISOString()
+    };
 
-    try {
-      let base64Data = media.data || '';
-      let mimetype = media.mimetype || '';
-      let filename = media.filename || '';
-
-      // ... existing media processing ...
-      // Fetch from URL if needed
-      if (media.url && !base64Data) {
-        const response = await axios.get(media.url, {
-          responseType: 'arraybuffer',
-          timeout: 30000,
-          maxContentLength: 16 * 1024 * 1024
-        });
+    logger.info(`👥 Group ${groupId}: ${action} ${eventData.participants.join(', ')}${eventData.actor ? ` by ${eventData.actor}` : ''}`);
 
-        base64Data = Buffer.from(response.data).toString('base64');
-        mimetype = mimetype || response.headers['content-type'] || 'application/octet-stream';
+    this.emitToAccount(accountId, 'group_participants', eventData);
+    this.queueIncomingWebhookDeliveries(accountId, groupId, eventData).catch(err => {
+      logger.error(`Webhook queue error:`, err);
+    });
+  }
 
-        if (!filename) {
-          try {
-            filename = new URL(media.url).pathname.split('/').pop() || '';
-          } catch {}
-        }
-      }
+  /**
+   * Deliver a group_update event for subject/description/settings changes.
+   * Full metadata refreshes (groupFetchAllParticipating) also arrive as groups.update,
+   * recognisable by their participant list - those aren't changes and are skipped.
+   */
+  handleGroupUpdate(accountId, update, cached) {
+    if (!update?.id || update.participants) return;
+
+    const changes = {};
+    if ('subject' in update) changes.subject = update.subject || '';
+    if ('desc' in update) changes.description = update.desc || '';
+    if ('announce' in update) changes.announce = !!update.announce; // only admins can send
+    if ('restrict' in update) changes.restrict = !!update.restrict; // only admins can edit group info
+    if ('memberAddMode' in update) changes.member_add_mode = !!update.memberAddMode; // members can add others
+    if ('joinApprovalMode' in update) changes.join_approval_mode = !!update.joinApprovalMode;
+    if ('inviteCode' in update) changes.invite_link_reset = true;
+
+    if (!Object.keys(changes).length) return;
+
+    const groupId = getPhoneNumber(update.id);
+    const eventData = {
+      event: 'group_update',
+      account_id: accountId,
+      group_id: groupId,
+      group_name: changes.subject || cached?.subject || null,
+      actor: update.author ? getPhoneNumber(update.author) : null,
+      changes,
+      created_at: new Date().toISOString()
+    };
 
-      // Normalize base64
-      if (base64Data && /^data:[^;]+;base64,/i.test(base64Data)) {
-        base64Data = base64Data.replace(/^data:[^;]+;base64,/i, '');
-      }
+    logger.info(`👥 Group ${groupId} updated: ${Object.keys(changes).join(', ')}${eventData.actor ? ` by ${eventData.actor}` : ''}`);
 
-      if (!mimetype) throw new Error('mimetype required');
+    this.emitToAccount(accountId, 'group_update', eventData);
+    this.queueIncomingWebhookDeliveries(accountId, groupId, eventData).catch(err => {
+      logger.error(`Webhook queue error:`, err);
+    });
+  }
 
-      const jid = this.formatPhoneNumber(number);
-      const buffer = Buffer.from(base64Data, 'base64');
+  /**
+   * Set an account's in-memory status - every status change goes through here so
+   * `connection` webhooks hear about it. Repeating the current status is only an
+   * event when it comes with a reason (e.g. another disconnect while reconnecting).
+   * @param {object} details - queueConnectionEvent fields; `state` reports a different
+   *   state than the one stored (auth_failed is stored as needs_qr)
+   */
+  setAccountStatus(accountId, status, details = {}) {
+    const previousStatus = this.accountStatus.get(accountId);
+    this.accountStatus.set(accountId, status);
 
-      // Anti-ban: Wait for rate limit with jitter
+    if (previousStatus === status && !details.reason && !details.state) {
+      return;
+    }
+
+    this.queueConnectionEvent(accountId, {
+      qr_required: status === 'qr_ready' || status === 'needs_qr',
+      ...details,
+      state: details.state || status,
+      previous_state: previousStatus
+    });
+  }
+
+  /**
+   * Deliver a `connection` event (account state change) to webhooks subscribed to it.
+   * Not filtered by number settings - it isn't about a contact.
+   */
+  queueConnectionEvent(accountId, details) {
+    const eventData = {
+      event: 'connection',
+      account_id: accountId,
+      state: details.state,
+      previous_state: details.previous_state || null,
+      reason: details.reason || null,
+      status_code: details.status_code ?? null,
+      reconnect_scheduled: !!details.reconnect_scheduled,
+      reconnect_delay_ms: details.reconnect_delay_ms ?? null,
+      qr_required: !!details.qr_required,
+      phone_number: details.phone_number || null,
+      created_at: new Date().toISOString()
+    };
+
+    this.queueWebhookDeliveries(accountId, eventData).catch(err => {
+      logger.error(`Webhook queue error:`, err);
+    });
+  }
+
+  /**
+   * Queue webhooks for an event a contact triggered, unless webhooks are turned off
+   * in number settings for `number` (the contact in 1:1 chats, the group ID in groups)
+   */
+  async queueIncomingWebhookDeliveries(accountId, number, data) {
+    if (!(await db.isWebhookEnabledForNumber(accountId, number))) {
+      logger.debug(`[NumberSettings] Webhooks disabled for ${number} - ${data.event} not forwarded`);
+      return;
+    }
+    await this.queueWebhookDeliveries(accountId, data);
+  }
+
+  async queueWebhookDeliveries(accountId, messageData) {
+    try {
+      const webhooks = await db.getWebhooks(accountId);
+      const activeWebhooks = (webhooks || []).filter(w => w.is_active);
+
+      if (activeWebhooks.length > 0) {
+        await webhookDeliveryService.queueDeliveries(accountId, activeWebhooks, messageData);
+      }
+    } catch (error) {
+      logger.error(`Webhook delivery error:`, error);
+    }
+  }
+
+  formatPhoneNumber(number) {
+    if (number.includes('@')) return number;
+
+    let cleaned = number.replace(/[^\d]/g, '').replace(/^0+/, '');
+
+    if (cleaned.length === 10) {
+      cleaned = '91' + cleaned;
+    }
+
+    return cleaned + '@s.whatsapp.net';
+  }
+
+  /**
+   * Rebuild a stored message (key + content) from its ID
+   * Looks in the in-memory store first, then wa_messages (kept for 24 hours)
+   * @returns {object|null} - { key, message } or null if unknown
+   */
+  async findStoredMessage(accountId, messageId) {
+    const cached = globalMessageStore.get(messageId);
+    if (cached && cached.accountId === accountId && cached.remoteJid) {
+      return {
+        key: {
+          remoteJid: cached.remoteJid,
+          id: messageId,
+          fromMe: cached.fromMe,
+          participant: cached.participant
+        },
+        message: cached.message
+      };
+    }
+
+    const stored = await db.getStoredMessage(accountId, messageId);
+    if (stored?.remote_jid) {
+      return {
+        key: {
+          remoteJid: stored.remote_jid,
+          id: messageId,
+          fromMe: stored.direction === 'out',
+          participant: stored.participant || undefined
+        },
+        message: stored.message_content
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Stored message to quote in a reply
+   * @throws {WhatsAppError} QUOTED_MESSAGE_NOT_FOUND if the message is unknown
+   */
+  async getQuotedMessage(accountId, messageId) {
+    const quoted = await this.findStoredMessage(accountId, messageId);
+    if (quoted) {
+      return quoted;
+    }
+
+    throw new WhatsAppError(
+      `Quoted message ${messageId} not found (messages are kept for 24 hours)`,
+      'QUOTED_MESSAGE_NOT_FOUND',
+      404
+    );
+  }
+
+  /**
+   * React to a message with an emoji (empty emoji removes our reaction)
+   * The target key comes from the message store; for older messages pass
+   * options.number (the chat) and options.fromMe to build it directly.
+   */
+  async sendReaction(accountId, messageId, emoji, options = {}) {
+    if (!this.clients.has(accountId)) throw new Error('Client not found');
+
+    let key;
+    const stored = await this.findStoredMessage(accountId, messageId);
+    if (stored) {
+      key = stored.key;
+    } else if (options.number) {
+      key = {
+        remoteJid: this.formatPhoneNumber(options.number),
+        id: messageId,
+        fromMe: !!options.fromMe
+      };
+    } else {
+      throw new WhatsAppError(
+        `Message ${messageId} not found - pass number to react to messages older than 24 hours`,
+        'MESSAGE_NOT_FOUND',
+        404
+      );
+    }
+
+    // Anti-ban: reactions are messages too
+    await rateLimiter.waitWithJitter(accountId);
+
+    const sock = this.clients.get(accountId);
+    const status = this.accountStatus.get(accountId);
+    if (!sock || status !== 'ready') {
+      throw new Error(`Client not ready after wait: ${status || 'unknown'}`);
+    }
+
+    const result = await sock.sendMessage(key.remoteJid, { react: { text: emoji, key } });
+    rateLimiter.recordMessage(accountId);
+    this.metrics.messagesProcessed++;
+
+    logger.info(`${emoji ? `Reacted ${emoji} to` : 'Removed reaction from'} ${messageId.slice(0, 15)}... in ${key.remoteJid.split('@')[0]}`);
+
+    return {
+      success: true,
+      messageId: result?.key?.id,
+      targetMessageId: messageId,
+      emoji,
+      removed: !emoji,
+      timestamp: Math.floor(Date.now() / 1000)
+    };
+  }
+
+  /**
+   * Key of a message this account sent, for edits and deletes
+   * @throws {WhatsAppError} MESSAGE_NOT_FOUND / NOT_OWN_MESSAGE
+   */
+  async getOwnMessageKey(accountId, messageId) {
+    const stored = await this.findStoredMessage(accountId, messageId);
+    if (!stored) {
+      throw new WhatsAppError(`Message ${messageId} not found (messages are kept for 24 hours)`, 'MESSAGE_NOT_FOUND', 404);
+    }
+    if (!stored.key.fromMe) {
+      throw new WhatsAppError('Only messages sent by this account can be edited or deleted', 'NOT_OWN_MESSAGE', 403);
+    }
+    return stored.key;
+  }
+
+  /**
+   * Edit the text of a message we sent (WhatsApp accepts edits for ~15 minutes)
+   */
+  async editMessage(accountId, messageId, text) {
+    if (!this.clients.has(accountId)) throw new Error('Client not found');
+
+    const key = await this.getOwnMessageKey(accountId, messageId);
+
+    await rateLimiter.waitWithJitter(accountId);
+
+    const sock = this.clients.get(accountId);
+    const status = this.accountStatus.get(accountId);
+    if (!sock || status !== 'ready') {
+      throw new Error(`Client not ready after wait: ${status || 'unknown'}`);
+    }
+
+    await sock.sendMessage(key.remoteJid, { text, edit: key });
+    rateLimiter.recordMessage(accountId);
+
+    logger.info(`✏️ Edited message ${messageId.slice(0, 15)}... in ${key.remoteJid.split('@')[0]}`);
+
+    const eventData = {
+      event: 'message_edited',
+      account_id: accountId,
+      message_id: messageId,
+      chat_id: getPhoneNumber(key.remoteJid),
+      is_group: key.remoteJid.endsWith('@g.us'),
+      from_me: true,
+      message: text,
+      timestamp: Math.floor(Date.now() / 1000),
+      created_at: new Date().toISOString()
+    };
+    this.emitToAccount(accountId, 'message_edited', eventData);
+    this.logMessageChange(accountId, eventData);
+    this.queueWebhookDeliveries(accountId, eventData).catch(err => {
+      logger.error(`Webhook queue error:`, err);
+    });
+
+    return { success: true, messageId, message: text, timestamp: eventData.timestamp };
+  }
+
+  /**
+   * Delete (revoke) a message we sent for everyone in the chat
+   */
+  async deleteMessage(accountId, messageId) {
+    if (!this.clients.has(accountId)) throw new Error('Client not found');
+
+    const key = await this.getOwnMessageKey(accountId, messageId);
+
+    await rateLimiter.waitWithJitter(accountId);
+
+    const sock = this.clients.get(accountId);
+    const status = this.accountStatus.get(accountId);
+    if (!sock || status !== 'ready') {
+      throw new Error(`Client not ready after wait: ${status || 'unknown'}`);
+    }
+
+    await sock.sendMessage(key.remoteJid, { delete: key });
+    rateLimiter.recordMessage(accountId);
+    globalMessageStore.delete(messageId);
+
+    logger.info(`🗑️ Deleted message ${messageId.slice(0, 15)}... in ${key.remoteJid.split('@')[0]}`);
+
+    const eventData = {
+      event: 'message_deleted',
+      account_id: accountId,
+      message_id: messageId,
+      chat_id: getPhoneNumber(key.remoteJid),
+      is_group: key.remoteJid.endsWith('@g.us'),
+      from_me: true,
+      timestamp: Math.floor(Date.now() / 1000),
+      created_at: new Date().toISOString()
+    };
+    this.emitToAccount(accountId, 'message_deleted', eventData);
+    this.logMessageChange(accountId, eventData);
+    this.queueWebhookDeliveries(accountId, eventData).catch(err => {
+      logger.error(`Webhook queue error:`, err);
+    });
+
+    return { success: true, messageId, deleted: true, timestamp: eventData.timestamp };
+  }
+
+  /**
+   * Record a sent message: metrics, retry store (L1 memory + L2 wa_messages) and chat history
+   * CRITICAL: result.message is the proto.IMessage Baileys expects back in getMessage
+   */
+  async storeSentMessage(accountId, result, jid) {
+    this.metrics.messagesProcessed++;
+
+    if (!result?.key?.id || !result.message) {
+      logger.warn(`[MsgStore] ⚠️ Could not store message - missing key.id or message body`);
+      return;
+    }
+
+    if (globalMessageStore.size >= MESSAGE_STORE_MAX_SIZE) {
+      const oldestKey = globalMessageStore.keys().next().value;
+      globalMessageStore.delete(oldestKey);
+    }
+    globalMessageStore.set(result.key.id, {
+      message: result.message,
+      timestamp: Date.now(),
+      accountId,
+      remoteJid: jid,
+      fromMe: true
+    });
+
+    try {
+      const dbStored = await db.storeMessage(accountId, result.key.id, result.message, 'out', jid);
+      if (!dbStored) {
+        logger.warn(`[MsgStore] ⚠️ Database: Failed to store message ${result.key.id?.slice(0, 15)}... - retry may fail`);
+      }
+    } catch (e) {
+      logger.error(`[MsgStore] ❌ Database store error: ${e.message}`);
+    }
+
+    this.logOutgoingMessage(accountId, jid, result);
+  }
+
+  /**
+   * Add a sent message to the chat history and start its status trail
+   * (fire and forget - never fails a send)
+   */
+  logOutgoingMessage(accountId, jid, result) {
+    if (!result?.key?.id || !result.message) return;
+
+    const { type, text, media } = describeSentMessage(result.message);
+    const ownJid = this.clients.get(accountId)?.user?.id;
+    const chatId = getPhoneNumber(jid);
+    const isGroup = jid.endsWith('@g.us');
+
+    this.recordMessageStatus(accountId, result.key.id, chatId, [{ recipient: chatId, status: 'pending' }]);
+
+    db.logMessage({
+      account_id: accountId,
+      direction: 'outgoing',
+      message_id: result.key.id,
+      sender: ownJid ? getPhoneNumber(jidNormalizedUser(ownJid)) : null,
+      recipient: chatId,
+      message: text,
+      timestamp: Math.floor(Date.now() / 1000),
+      type,
+      chat_id: chatId,
+      is_group: isGroup,
+      group_name: isGroup ? this.getCachedGroupMetadata(accountId, jid)?.subject || null : null,
+      media,
+      status: 'success'
+    }).catch(err => {
+      logger.warn(`[MessageLog] Failed to log outgoing message ${result.key.id?.slice(0, 15)}...: ${err.message}`);
+    });
+  }
+
+  /**
+   * Store status transitions of a sent message (fire and forget)
+   * @param {Array<{ recipient: string, status: string, at?: Date }>} entries -
+   *   recipient is the chat for the message as a whole, the participant for group receipts
+   */
+  recordMessageStatus(accountId, messageId, chatId, entries) {
+    if (!messageId) return;
+
+    const rows = entries.map(entry => ({
+      accountId,
+      messageId,
+      chatId,
+      recipient: entry.recipient,
+      status: entry.status,
+      statusAt: (entry.at || new Date()).toISOString()
+    }));
+
+    db.recordMessageStatuses(rows).catch(err => {
+      logger.warn(`[MessageStatus] Failed to record status of ${messageId.slice(0, 15)}...: ${err.message}`);
+    });
+  }
+
+  /**
+   * Delivery status of a sent message: current status, when each status was reached
+   * and, for group messages, the same per participant
+   */
+  async getMessageStatus(accountId, messageId) {
+    const rows = await db.getMessageStatuses(accountId, messageId);
+    if (rows.length === 0) {
+      throw new WhatsAppError(`No status recorded for message ${messageId}`, 'MESSAGE_NOT_FOUND', 404);
+    }
+
+    const chatId = rows[0].chat_id;
+    const timestamps = (entries) => Object.fromEntries(entries.map(row => [row.status, row.status_at]));
+
+    const chatRows = rows.filter(row => row.recipient === chatId);
+    const recipients = new Map();
+    for (const row of rows.filter(row => row.recipient !== chatId)) {
+      if (!recipients.has(row.recipient)) recipients.set(row.recipient, []);
+      recipients.get(row.recipient).push(row);
+    }
+
+    return {
+      message_id: messageId,
+      chat_id: chatId,
+      status: currentMessageStatus(chatRows.length ? chatRows : rows),
+      timestamps: timestamps(chatRows), // { pending, sent, delivered, read, played, failed } - first time reached
+      history: chatRows.map(row => ({ status: row.status, at: row.status_at })),
+      recipients: Array.from(recipients, ([recipient, entries]) => ({
+        recipient,
+        status: currentMessageStatus(entries),
+        timestamps: timestamps(entries)
+      }))
+    };
+  }
+
+  /**
+   * Apply an edit or revoke to the logged message
+   */
+  logMessageChange(accountId, eventData) {
+    if (!eventData.message_id) return;
+
+    const updates = eventData.event === 'message_edited'
+      ? { message: eventData.message }
+      : { message: null, type: 'revoked', media: null };
+
+    db.updateMessageLog(accountId, eventData.message_id, updates).catch(err => {
+      logger.warn(`[MessageLog] Failed to update message ${eventData.message_id.slice(0, 15)}...: ${err.message}`);
+    });
+  }
+
+  /**
+   * Send prepared Baileys content with the standard pacing and bookkeeping:
+   * quoted lookup, rate limiter, ready check, retry store and metrics
+   */
+  async sendContent(accountId, number, content, options = {}) {
+    if (!this.clients.has(accountId)) throw new Error('Client not found');
+    await this.assertNotSuppressed(accountId, number);
+
+    const jid = this.formatPhoneNumber(number);
+    const quoted = options.quotedMessageId
+      ? await this.getQuotedMessage(accountId, options.quotedMessageId)
+      : null;
+
+    try {
       await rateLimiter.waitWithJitter(accountId);
 
-      // CRITICAL FIX: Fetch socket *AFTER* the delay to ensure it's not stale/disconnected
       const sock = this.clients.get(accountId);
       const status = this.accountStatus.get(accountId);
-      
       if (!sock || status !== 'ready') {
         throw new Error(`Client not ready after wait: ${status || 'unknown'}`);
       }
 
-      // Show typing indicator with jitter (don't fail media send on presence errors)
-      // ANTI-BAN: Calculate typing time based on caption length (if any)
-      // For media, also add base time for "selecting/uploading" the file
-      const captionLength = caption ? caption.length : 0;
-      const charsPerSecond = 4 + Math.random() * 4; // 4-8 chars/sec
-      const captionTypingMs = (captionLength / charsPerSecond) * 1000;
-      const mediaSelectionMs = 2000 + Math.random() * 2000; // 2-4s to "select" media
-      const typingDelay = Math.min(15000, Math.max(2500, captionTypingMs + mediaSelectionMs));
-      const typingJitter = Math.floor(Math.random() * 1500); // 0-1.5s random
-      
-      if (typingDelay > 0) {
-        try {
-          await sock.presenceSubscribe(jid);
-          await sock.sendPresenceUpdate('composing', jid);
-          await new Promise(resolve => setTimeout(resolve, typingDelay + typingJitter));
-          await sock.sendPresenceUpdate('paused', jid);
-        } catch (e) { /* ignore presence errors */ }
+      humanBehaviorSimulator.recordActivity(accountId);
+
+      const result = await sock.sendMessage(jid, content, quoted ? { quoted } : undefined);
+      rateLimiter.recordMessage(accountId);
+
+      await this.storeSentMessage(accountId, result, jid);
+
+      return {
+        success: true,
+        messageId: result.key?.id,
+        timestamp: Math.floor(Date.now() / 1000)
+      };
+    } catch (error) {
+      this.metrics.messagesFailed++;
+      throw error;
+    }
+  }
+
+  /**
+   * Send an image as a 512x512 WebP sticker
+   * @param {object} media - { data, mimetype } or { url } (PNG, JPEG, GIF or WebP)
+   * @param {object} sticker - { pack, author, emojis } metadata shown in the sticker info
+   */
+  async sendSticker(accountId, number, media, sticker = {}, options = {}) {
+    if (!this.clients.has(accountId)) throw new Error('Client not found');
+
+    const { buffer, mimetype } = await this.loadMedia(media);
+    if (!isSupportedImage(mimetype)) {
+      throw new WhatsAppError(`Unsupported sticker image type: ${mimetype || 'unknown'} (use PNG, JPEG, GIF or WebP)`, 'INVALID_STICKER_IMAGE', 422);
+    }
+
+    let converted;
+    try {
+      converted = await createSticker(buffer, sticker);
+    } catch (error) {
+      if (error instanceof StickerConversionError) {
+        throw new WhatsAppError(error.message, 'INVALID_STICKER_IMAGE', 422);
       }
+      throw error;
+    }
 
-      // Determine message type based on mimetype
-      let messageContent;
-      if (mimetype.startsWith('image/')) {
-        messageContent = { image: buffer, caption, mimetype };
-      } else if (mimetype.startsWith('video/')) {
-        messageContent = { video: buffer, caption, mimetype };
-      } else if (mimetype.startsWith('audio/')) {
-        messageContent = { audio: buffer, mimetype, ptt: mimetype.includes('ogg') };
-      } else {
-        messageContent = { document: buffer, mimetype, fileName: filename || 'file' };
+    const result = await this.sendContent(accountId, number, {
+      sticker: converted.buffer,
+      isAnimated: converted.isAnimated
+    }, options);
+
+    logger.info(`🖼️ Sticker sent to ${number} - ID: ${result.messageId?.slice(0, 15)}...`);
+    return { ...result, type: 'sticker' };
+  }
+
+  /**
+   * Send a location pin
+   * @param {object} location - { latitude, longitude, name, address }
+   */
+  async sendLocation(accountId, number, location, options = {}) {
+    const result = await this.sendContent(accountId, number, {
+      location: {
+        degreesLatitude: location.latitude,
+        degreesLongitude: location.longitude,
+        name: location.name || undefined,
+        address: location.address || undefined
+      }
+    }, options);
+
+    logger.info(`📍 Location sent to ${number} - ID: ${result.messageId?.slice(0, 15)}...`);
+    return { ...result, type: 'location' };
+  }
+
+  /**
+   * Send one or more contact cards
+   * @param {Array} contacts - [{ name, phones: string[], organization, email }]
+   */
+  async sendContact(accountId, number, contacts, options = {}) {
+    const result = await this.sendContent(accountId, number, {
+      contacts: {
+        displayName: contacts.length === 1 ? contacts[0].name : `${contacts.length} contacts`,
+        contacts: contacts.map(contact => ({ displayName: contact.name, vcard: buildVCard(contact) }))
       }
+    }, options);
+
+    logger.info(`👤 ${contacts.length} contact card(s) sent to ${number} - ID: ${result.messageId?.slice(0, 15)}...`);
+    return { ...result, type: 'contact' };
+  }
+
+  /**
+   * Send a poll
+   * @param {object} poll - { question, options: string[], allowMultiple }
+   */
+  async sendPoll(accountId, number, poll, options = {}) {
+    const result = await this.sendContent(accountId, number, {
+      poll: {
+        name: poll.question,
+        values: poll.options,
+        selectableCount: poll.allowMultiple ? 0 : 1 // 0 = any number of options
+      }
+    }, options);
+
+    logger.info(`📊 Poll sent to ${number} - ID: ${result.messageId?.slice(0, 15)}...`);
+    return { ...result, type: 'poll' };
+  }
+
+  async sendMessage(accountId, number, message, options = {}) {
+    // PRE-CHECK: Fail fast if account doesn't exist
+    if (!this.clients.has(accountId)) throw new Error('Client not found');
+    await this.assertNotSuppressed(accountId, number);
+
+    const jid = this.formatPhoneNumber(number);
+
+    // Resolve the quoted message first - an unknown ID should fail before anything is recorded
+    const quoted = options.quotedMessageId
+      ? await this.getQuotedMessage(accountId, options.quotedMessageId)
+      : null;
+
+    // ANTI-BAN: Check for duplicate message (same content to same recipient within 60s)
+    // Skipped for Idempotency-Key requests - retries are deduplicated by key instead
+    if (!options.skipDuplicateCheck && isDuplicateMessage(accountId, jid, message)) {
+      logger.warn(`[Anti-Ban] Blocked duplicate message to ${jid.split('@')[0]} within 60s window`);
+      throw new WhatsAppError('Duplicate message blocked - same content sent to this recipient within 60 seconds', 'DUPLICATE_MESSAGE', 409);
+    }
+
+    try {
+      // Anti-ban: Wait for rate limit with jitter
+      await rateLimiter.waitWithJitter(accountId);
+
+      // CRITICAL FIX: Retreive socket specifically AFTER the wait
+      let sock = this.clients.get(accountId);
+      let status = this.accountStatus.get(accountId);
+
+      if (!sock || status !== 'ready') {
+        throw new Error(`Client not ready after wait: ${status}`);
+      }
+
+      // ANTI-BAN: Use human behavior simulator for typing indicator
+      // Calculate typing time based on message length (~40 WPM = ~200ms per char)
+      // Min 1.5s for short messages, max 12s for very long messages
+      const charsPerSecond = humanBehaviorSimulator.randomDelay(4, 8); // 4-8 chars/sec (30-60 WPM)
+      const baseTypingMs = (message.length / charsPerSecond) * 1000;
+      const typingDelayMs = Math.min(12000, Math.max(1500, baseTypingMs));
+      
+      try {
+        await sock.presenceSubscribe(jid);
+        await sock.sendPresenceUpdate('composing', jid);
+        
+        // Add jitter to typing duration (±30%)
+        await humanBehaviorSimulator.waitWithJitter(typingDelayMs, 0.3);
+        
+        await sock.sendPresenceUpdate('paused', jid);
+      } catch (e) { /* ignore presence errors */ }
+
+      // Re-fetch socket one last time before critical send
+      sock = this.clients.get(accountId);
+      if (!sock) throw new Error('Client lost connection during typing delay');
+
+      // Record activity for human behavior tracking
+      humanBehaviorSimulator.recordActivity(accountId);
+
+      // Create message content
+      const msgContent = { text: message };
+      
+      const result = await sock.sendMessage(jid, msgContent, quoted ? { quoted } : undefined);
+
+      // Log successful send
+      logger.info(`📤 Message sent to ${jid.split('@')[0]} - ID: ${result?.key?.id?.slice(0, 15)}...`);
+
+      // Record message for rate limiting
+      rateLimiter.recordMessage(accountId);
+
+      // Retry store, chat history and metrics
+      await this.storeSentMessage(accountId, result, jid);
+
+      await db.updateAccount(accountId, {
+        last_active_at: new Date().toISOString()
+      });
+
+       // OPTIMIZED: Remove aggressive flush on every message
+       // The 'creds.update' event is already debounced and handles key rotation.
+       // We trust the 500ms debounce we added earlier to catch this without hammering DB.
+       
+      return {
+        success: true,
+        messageId: result.key.id,
+        timestamp: Math.floor(Date.now() / 1000)
+      };
+    } catch (error) {
+      this.metrics.messagesFailed++;
+      throw error;
+    }
+    // Note: No gating needed - keys are saved atomically by createAtomicKeyStore
+  }
+
+  /**
+   * Media payload ({ data: base64, mimetype, filename } or { url }) as a Buffer
+   * URL downloads fill in the mimetype and filename when they weren't given
+   */
+  async loadMedia(media) {
+    let base64Data = media.data || '';
+    let mimetype = media.mimetype || '';
+    let filename = media.filename || '';
+
+    // Fetch from URL if needed
+    if (media.url && !base64Data) {
+      const response = await axios.get(media.url, {
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        maxContentLength: 16 * 1024 * 1024
+      });
+
+      base64Data = Buffer.from(response.data).toString('base64');
+      mimetype = mimetype || response.headers['content-type'] || 'application/octet-stream';
+
+      if (!filename) {
+        try {
+          filename = new URL(media.url).pathname.split('/').pop() || '';
+        } catch {}
+      }
+    }
+
+    // Normalize base64
+    if (base64Data && /^data:[^;]+;base64,/i.test(base64Data)) {
+      base64Data = base64Data.replace(/^data:[^;]+;base64,/i, '');
+    }
+
+    return { buffer: Buffer.from(base64Data, 'base64'), mimetype, filename };
+  }
+
+  async sendMedia(accountId, number, media, caption = '', options = {}) {
+    // PRE-CHECK: just to fail fast, but we'll fetch again later
+    if (!this.clients.has(accountId)) throw new Error('Client not found');
+    await this.assertNotSuppressed(accountId, number);
+
+    try {
+      let { buffer, mimetype, filename } = await this.loadMedia(media);
+
+      if (!mimetype) throw new Error('mimetype required');
+
+      const jid = this.formatPhoneNumber(number);
+
+      // Voice notes must be OGG/Opus - convert before waiting on the rate limiter
+      const asVoiceNote = !options.sendMediaAsDocument && mimetype.startsWith('audio/') &&
+        (options.sendAudioAsVoice || isVoiceNoteFormat(mimetype));
+      if (options.sendAudioAsVoice && asVoiceNote && !isVoiceNoteFormat(mimetype)) {
+        try {
+          buffer = await convertToVoiceNote(buffer);
+        } catch (error) {
+          if (error instanceof AudioConversionError) {
+            throw new WhatsAppError(error.message, 'AUDIO_CONVERSION_FAILED', 422);
+          }
+          throw error;
+        }
+        mimetype = 'audio/ogg; codecs=opus';
+      }
+
+      const quoted = options.quotedMessageId
+        ? await this.getQuotedMessage(accountId, options.quotedMessageId)
+        : null;
+
+      // Anti-ban: Wait for rate limit with jitter
+      await rateLimiter.waitWithJitter(accountId);
+
+      // CRITICAL FIX: Fetch socket *AFTER* the delay to ensure it's not stale/disconnected
+      const sock = this.clients.get(accountId);
+      const status = this.accountStatus.get(accountId);
+      
+      if (!sock || status !== 'ready') {
+        throw new Error(`Client not ready after wait: ${status || 'unknown'}`);
+      }
+
+      // Show typing indicator with jitter (don't fail media send on presence errors)
+      // ANTI-BAN: Calculate typing time based on caption length (if any)
+      // For media, also add base time for "selecting/uploading" the file
+      const captionLength = caption ? caption.length : 0;
+      const charsPerSecond = 4 + Math.random() * 4; // 4-8 chars/sec
+      const captionTypingMs = (captionLength / charsPerSecond) * 1000;
+      const mediaSelectionMs = 2000 + Math.random() * 2000; // 2-4s to "select" media
+      const typingDelay = Math.min(15000, Math.max(2500, captionTypingMs + mediaSelectionMs));
+      const typingJitter = Math.floor(Math.random() * 1500); // 0-1.5s random
+      
+      if (typingDelay > 0) {
+        try {
+          await sock.presenceSubscribe(jid);
+          await sock.sendPresenceUpdate('composing', jid);
+          await new Promise(resolve => setTimeout(resolve, typingDelay + typingJitter));
+          await sock.sendPresenceUpdate('paused', jid);
+        } catch (e) { /* ignore presence errors */ }
+      }
+
+      // Determine message type based on mimetype (any file can be forced to a document)
+      let messageContent;
+      if (options.sendMediaAsDocument) {
+        messageContent = { document: buffer, mimetype, fileName: filename || 'file', caption };
+      } else if (mimetype.startsWith('image/')) {
+        messageContent = { image: buffer, caption, mimetype };
+      } else if (mimetype.startsWith('video/')) {
+        messageContent = { video: buffer, caption, mimetype };
+      } else if (mimetype.startsWith('audio/')) {
+        // ptt: Baileys fills in the duration and waveform of the voice note
+        messageContent = { audio: buffer, mimetype, ptt: asVoiceNote };
+      } else {
+        messageContent = { document: buffer, mimetype, fileName: filename || 'file' };
+      }
+
+      const result = await sock.sendMessage(jid, messageContent, quoted ? { quoted } : undefined);
+
+      // Record message for rate limiting
+      rateLimiter.recordMessage(accountId);
+
+      // Retry store, chat history and metrics
+      await this.storeSentMessage(accountId, result, jid);
+
+      return {
+        success: true,
+        messageId: result.key?.id,
+        timestamp: Math.floor(Date.now() / 1000)
+      };
+    } catch (error) {
+      this.metrics.messagesFailed++;
+      throw error;
+    }
+    // Note: No gating needed - keys are saved atomically by createAtomicKeyStore
+  }
+
+  /**
+   * Send buttons as formatted text message with numbered options
+   * 
+   * NOTE: Native interactive buttons (nativeFlowMessage) DO NOT WORK on personal
+   * WhatsApp accounts connected via WhatsApp Web/Baileys. WhatsApp silently drops them.
+   * Only WhatsApp Business API accounts can send clickable buttons.
+   * 
+   * This implementation uses text-based numbered options which work universally.
+   */
+  async sendButtons(accountId, number, body, buttons, title = '', footer = '', media = null, options = {}) {
+    logger.info(`[sendButtons] Called: accountId=${accountId}, number=${number}, body="${body?.slice(0,50)}...", buttons=${JSON.stringify(buttons)}`);
+    
+    const sock = this.clients.get(accountId);
+    if (!sock) {
+      logger.error(`[sendButtons] No socket found for account ${accountId}`);
+      throw new Error('Account not connected');
+    }
+
+    const status = this.accountStatus.get(accountId);
+    logger.info(`[sendButtons] Account status: ${status}`);
+    if (status !== 'ready') {
+      logger.error(`[sendButtons] Account not ready: ${status}`);
+      throw new Error(`Client not ready: ${status}`);
+    }
+
+    await this.assertNotSuppressed(accountId, number);
+
+    // Use the module-level rateLimiter
+    const delay = rateLimiter.getRequiredDelay(accountId);
+    if (delay > 0) {
+      logger.info(`[sendButtons] Rate limit delay: ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    // Format phone number
+    const jid = number.includes('@') ? number : `${number.replace(/[^\d]/g, '')}@s.whatsapp.net`;
+    logger.info(`[sendButtons] Formatted JID: ${jid}`);
+
+    const quoted = options.quotedMessageId
+      ? await this.getQuotedMessage(accountId, options.quotedMessageId)
+      : null;
+    const sendOptions = quoted ? { quoted } : undefined;
+
+    // Build text message with numbered options
+    let messageText = '';
+    if (title) messageText += `*${title}*\n\n`;
+    messageText += body || '';
+    messageText += '\n\n';
+    
+    if (Array.isArray(buttons)) {
+      buttons.forEach((btn, i) => {
+        const buttonText = btn.body || btn.buttonText?.displayText || btn.text || btn.title || String(btn);
+        messageText += `${i + 1}. ${buttonText}\n`;
+      });
+    }
+    
+    if (footer) messageText += `\n_${footer}_`;
+    messageText = messageText.trim();
+
+    logger.info(`[sendButtons] Built message text (${messageText.length} chars):\n${messageText}`);
+
+    // If media is provided, send as media with caption
+    if (media && (media.data || media.url)) {
+      logger.info(`[sendButtons] Sending with media: ${media.mimetype || media.url}`);
+      const loaded = await this.loadMedia(media);
+      const buffer = loaded.buffer;
+      const mimetype = loaded.mimetype || 'application/octet-stream';
+      
+      let messageContent;
+      if (mimetype.startsWith('image/')) {
+        messageContent = { image: buffer, caption: messageText };
+      } else if (mimetype.startsWith('video/')) {
+        messageContent = { video: buffer, caption: messageText };
+      } else {
+        messageContent = { document: buffer, mimetype, fileName: loaded.filename || 'file', caption: messageText };
+      }
+      
+      const result = await sock.sendMessage(jid, messageContent, sendOptions);
+      logger.info(`[sendButtons] ✅ Media message sent: ${result?.key?.id}`);
+      rateLimiter.recordMessage(accountId);
+      // Retry store, chat history and metrics
+      await this.storeSentMessage(accountId, result, jid);
+      
+      return {
+        success: true,
+        messageId: result.key?.id,
+        timestamp: Math.floor(Date.now() / 1000),
+        type: 'media_with_options'
+      };
+    }
+
+    // No media - send as plain text
+    logger.info(`[sendButtons] Sending as plain text to ${jid}...`);
+    const result = await sock.sendMessage(jid, { text: messageText }, sendOptions);
+    logger.info(`[sendButtons] ✅ Text message sent: ${result?.key?.id}`);
+    
+    rateLimiter.recordMessage(accountId);
+    
+    // Retry store, chat history and metrics
+    await this.storeSentMessage(accountId, result, jid);
+
+    return {
+      success: true,
+      messageId: result.key?.id,
+      timestamp: Math.floor(Date.now() / 1000),
+      type: 'text_options'
+    };
+  }
+
+  /**
+   * Send list as formatted text message with sections and numbered options
+   * 
+   * NOTE: Native interactive lists (nativeFlowMessage) DO NOT WORK on personal
+   * WhatsApp accounts connected via WhatsApp Web/Baileys. WhatsApp silently drops them.
+   * Only WhatsApp Business API accounts can send interactive lists.
+   * 
+   * This implementation uses text-based formatting which works universally.
+   */
+  async sendList(accountId, number, body, buttonText, sections, title = '', footer = '', options = {}) {
+    const sock = this.clients.get(accountId);
+    if (!sock) throw new Error('Account not connected');
+    await this.assertNotSuppressed(accountId, number);
+
+    // Use the module-level rateLimiter
+    const delay = rateLimiter.getRequiredDelay(accountId);
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    // Format phone number
+    const jid = number.includes('@') ? number : `${number.replace(/[^\d]/g, '')}@s.whatsapp.net`;
+
+    // Validate sections
+    if (!Array.isArray(sections) || sections.length === 0) {
+      throw new Error('List must have at least one section with rows');
+    }
+
+    const quoted = options.quotedMessageId
+      ? await this.getQuotedMessage(accountId, options.quotedMessageId)
+      : null;
+
+    // Build text message with sections and numbered options
+    let messageText = '';
+    if (title) messageText += `*${title}*\n\n`;
+    messageText += body || '';
+    messageText += '\n';
+    
+    let optionNum = 1;
+    sections.forEach((section) => {
+      if (!Array.isArray(section.rows) || section.rows.length === 0) return;
+      
+      // Section header
+      if (section.title) {
+        messageText += `\n*${section.title}*\n`;
+      } else {
+        messageText += '\n';
+      }
+      
+      // Section rows as numbered options
+      section.rows.forEach((row) => {
+        const rowTitle = row.title || row;
+        if (!rowTitle) return;
+        
+        messageText += `${optionNum}. ${rowTitle}`;
+        if (row.description) {
+          messageText += ` - _${row.description}_`;
+        }
+        messageText += '\n';
+        optionNum++;
+      });
+    });
+    
+    if (footer) messageText += `\n_${footer}_`;
+    messageText = messageText.trim();
+
+    // Send as plain text
+    const result = await sock.sendMessage(jid, { text: messageText }, quoted ? { quoted } : undefined);
+    
+    rateLimiter.recordMessage(accountId);
+    
+    // Retry store, chat history and metrics
+    await this.storeSentMessage(accountId, result, jid);
+
+    return {
+      success: true,
+      messageId: result.key?.id,
+      timestamp: Math.floor(Date.now() / 1000),
+      type: 'text_list'
+    };
+  }
+
+  /**
+   * Download and store the media of an incoming message
+   * Never throws - webhook consumers still get the message when storage fails
+   */
+  async downloadIncomingMedia(sock, accountId, message, messageType) {
+    const content = extractMessageContent(message.message);
+    const mediaMessage = content?.[`${messageType}Message`];
+    if (!mediaMessage) return null;
+
+    const info = {
+      url: null,
+      mimetype: mediaMessage.mimetype || null,
+      filename: mediaMessage.fileName || null,
+      size: mediaMessage.fileLength ? Number(mediaMessage.fileLength) : null,
+      sha256: mediaMessage.fileSha256 ? Buffer.from(mediaMessage.fileSha256).toString('hex') : null
+    };
+
+    if (!mediaStorageService.isAvailable()) {
+      return info;
+    }
+
+    if (info.size && info.size > mediaStorageService.maxSizeBytes) {
+      logger.warn(`[Media] Skipping ${messageType} ${message.key.id?.slice(0, 15)}... (${info.size} bytes exceeds MEDIA_MAX_SIZE_MB)`);
+      return { ...info, error: 'File too large to store' };
+    }
+
+    try {
+      const buffer = await downloadMediaMessage(message, 'buffer', {}, {
+        logger: pino({ level: 'silent' }),
+        reuploadRequest: sock.updateMediaMessage
+      });
+
+      const stored = await mediaStorageService.store({
+        accountId,
+        messageId: message.key.id,
+        buffer,
+        mimetype: info.mimetype,
+        filename: info.filename,
+        mediaType: messageType
+      });
+
+      logger.info(`📎 Stored incoming ${messageType} (${stored.size} bytes) as ${stored.id}`);
+      return stored;
+    } catch (error) {
+      logger.error(`[Media] Failed to store ${messageType} ${message.key.id?.slice(0, 15)}...: ${error.message}`);
+      return { ...info, error: 'Media download failed' };
+    }
+  }
+
+  // ============================================================================
+  // SUPPRESSION LIST (opt-outs)
+  // ============================================================================
+
+  // Suppression list key of a number or JID (digits, same normalization as sends)
+  getSuppressionPhone(number) {
+    return this.formatPhoneNumber(String(number)).split('@')[0];
+  }
+
+  /**
+   * Whether a recipient opted out. Groups are never suppressed.
+   * A missing suppression_list table (schema not applied yet) counts as not suppressed.
+   */
+  async isSuppressed(accountId, number) {
+    if (String(number).endsWith('@g.us')) return false;
+
+    const phone = this.getSuppressionPhone(number);
+    const cacheKey = `${accountId}:${phone}`;
+    const cached = suppressionCache.get(cacheKey);
+    if (cached !== undefined) return cached;
+
+    try {
+      const suppressed = !!(await db.getSuppression(accountId, phone));
+      suppressionCache.set(cacheKey, suppressed);
+      return suppressed;
+    } catch (error) {
+      if (error.code === 'PGRST205') {
+        logger.warn('[Suppression] Missing database table suppression_list - apply the latest schema.sql. Opt-outs are not enforced.');
+        suppressionCache.set(cacheKey, false);
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async assertNotSuppressed(accountId, number) {
+    if (await this.isSuppressed(accountId, number)) {
+      throw new WhatsAppError(`${this.getSuppressionPhone(number)} has opted out of messages from this account`, 'RECIPIENT_SUPPRESSED', 403);
+    }
+  }
+
+  /**
+   * Add a number to the suppression list
+   * @param {object} details - { source: 'keyword'|'dashboard'|'api', keyword, reason }
+   * @returns {Promise<object>} { phone, suppressed: true, already_suppressed }
+   */
+  async suppressNumber(accountId, number, details) {
+    const phone = this.getSuppressionPhone(number);
+    const entry = await db.addSuppression(accountId, { phone, ...details });
+    suppressionCache.set(`${accountId}:${phone}`, true);
+
+    if (entry) {
+      logger.info(`🚫 ${phone} suppressed for ${accountId} (${details.source}${details.keyword ? `: ${details.keyword}` : ''})`);
+      this.emitToAccount(accountId, 'suppression-updated', { phone, suppressed: true, ...entry });
+    }
+    return { phone, suppressed: true, already_suppressed: !entry, ...(entry || {}) };
+  }
+
+  /**
+   * Remove a number from the suppression list (resubscribe)
+   * @returns {Promise<object>} { phone, suppressed: false, was_suppressed }
+   */
+  async unsuppressNumber(accountId, number, details) {
+    const phone = this.getSuppressionPhone(number);
+    const removed = await db.removeSuppression(accountId, { phone, ...details });
+    suppressionCache.set(`${accountId}:${phone}`, false);
+
+    if (removed) {
+      logger.info(`✅ ${phone} resubscribed for ${accountId} (${details.source}${details.keyword ? `: ${details.keyword}` : ''})`);
+      this.emitToAccount(accountId, 'suppression-updated', { phone, suppressed: false, source: details.source });
+    }
+    return { phone, suppressed: false, was_suppressed: removed };
+  }
+
+  // Opt-out / opt-in keyword sent by a contact
+  async applyOptKeyword(accountId, phone, { action, keyword }) {
+    try {
+      if (action === 'opt_out') {
+        await this.suppressNumber(accountId, phone, { source: 'keyword', keyword, reason: 'Contact sent opt-out keyword' });
+      } else {
+        await this.unsuppressNumber(accountId, phone, { source: 'keyword', keyword, reason: 'Contact sent opt-in keyword' });
+      }
+    } catch (error) {
+      logger.error(`[Suppression] Failed to apply ${keyword} from ${phone}:`, error);
+    }
+  }
+
+  // ============================================================================
+  // CALLS
+  // ============================================================================
+
+  /**
+   * Incoming call handling for an account (stored in whatsapp_accounts.metadata)
+   * @returns {Promise<{ auto_reject: boolean, reply_message: string|null }>}
+   */
+  async getCallSettings(accountId) {
+    const account = await db.getAccount(accountId);
+    if (!account) throw new Error('Account not found');
+
+    const settings = account.metadata?.call_settings || {};
+    return {
+      auto_reject: !!settings.auto_reject,
+      reply_message: settings.reply_message || null
+    };
+  }
+
+  async updateCallSettings(accountId, updates) {
+    const account = await db.getAccount(accountId);
+    if (!account) throw new Error('Account not found');
+
+    const current = await this.getCallSettings(accountId);
+    const settings = {
+      auto_reject: updates.auto_reject ?? current.auto_reject,
+      reply_message: updates.reply_message !== undefined ? (updates.reply_message || null) : current.reply_message
+    };
+
+    await db.updateAccount(accountId, {
+      metadata: { ...(account.metadata || {}), call_settings: settings }
+    });
+
+    logger.info(`📞 Call settings updated for ${accountId}: auto_reject=${settings.auto_reject}`);
+    return settings;
+  }
+
+  // ============================================================================
+  // CONTACTS
+  // ============================================================================
+
+  /**
+   * Check which numbers are registered on WhatsApp
+   * Only numbers not in the cache are queried
+   * @param {object} options - { refresh: true } to bypass the cache
+   * @returns {Promise<Array>} [{ number, phone, registered, jid, cached }] in input order
+   */
+  async checkNumbers(accountId, numbers, options = {}) {
+    const sock = this.getReadySocket(accountId);
+
+    const entries = numbers.map(number => {
+      const phone = this.formatPhoneNumber(number).split('@')[0];
+      const cached = options.refresh ? undefined : numberCheckCache.get(`${accountId}:${phone}`);
+      return { number, phone, cached };
+    });
+
+    const toQuery = [...new Set(entries.filter(e => !e.cached).map(e => e.phone))];
+    if (toQuery.length) {
+      const found = await sock.onWhatsApp(...toQuery.map(phone => `${phone}@s.whatsapp.net`)) || [];
+      const byPhone = new Map(found.filter(r => r.exists).map(r => [r.jid.split('@')[0].split(':')[0], r]));
+
+      for (const phone of toQuery) {
+        const match = byPhone.get(phone);
+        numberCheckCache.set(`${accountId}:${phone}`, {
+          registered: !!match,
+          jid: match ? jidNormalizedUser(match.jid) : null
+        });
+      }
+
+      logger.info(`🔎 Checked ${toQuery.length} numbers for ${accountId}: ${byPhone.size} on WhatsApp`);
+    }
+
+    return entries.map(({ number, phone, cached }) => ({
+      number,
+      phone,
+      ...numberCheckCache.get(`${accountId}:${phone}`),
+      cached: !!cached
+    }));
+  }
+
+  /**
+   * Profile picture, about text and business info of a WhatsApp user
+   * Each part is fetched independently - privacy settings hide some of them
+   */
+  async getContactProfile(accountId, number, options = {}) {
+    const sock = this.getReadySocket(accountId);
+    const [check] = await this.checkNumbers(accountId, [number], options);
+
+    if (!check.registered) {
+      throw new WhatsAppError(`${check.phone} is not registered on WhatsApp`, 'NOT_ON_WHATSAPP', 404);
+    }
+
+    const cacheKey = `${accountId}:${check.phone}`;
+    const cached = options.refresh ? undefined : contactProfileCache.get(cacheKey);
+    if (cached) {
+      return { ...cached, cached: true };
+    }
+
+    const [picture, status, business] = await Promise.allSettled([
+      sock.profilePictureUrl(check.jid, 'image'),
+      sock.fetchStatus(check.jid),
+      sock.getBusinessProfile(check.jid)
+    ]);
+
+    const about = status.status === 'fulfilled' ? status.value?.[0]?.status : null;
+    const businessProfile = business.status === 'fulfilled' ? business.value : null;
+
+    const profile = {
+      number: check.phone,
+      jid: check.jid,
+      profile_picture_url: picture.status === 'fulfilled' ? picture.value || null : null,
+      about: about?.status || null,
+      about_set_at: about?.setAt && about.setAt.getTime() > 0 ? about.setAt.toISOString() : null,
+      is_business: !!businessProfile,
+      business: businessProfile ? {
+        description: businessProfile.description || null,
+        category: businessProfile.category || null,
+        email: businessProfile.email || null,
+        website: businessProfile.website || [],
+        address: businessProfile.address || null
+      } : null,
+      fetched_at: new Date().toISOString()
+    };
+
+    contactProfileCache.set(cacheKey, profile);
+    return { ...profile, cached: false };
+  }
+
+  /**
+   * Ask WhatsApp for presence updates (online, last seen, typing) of contacts.
+   * Subscriptions don't survive a reconnect - subscribe again after `ready`.
+   * @returns {Promise<Array>} [{ number, subscribed, error }] in input order
+   */
+  async subscribePresence(accountId, numbers) {
+    const sock = this.getReadySocket(accountId);
+
+    const results = [];
+    for (const number of numbers) {
+      const jid = this.formatPhoneNumber(number);
+      try {
+        await sock.presenceSubscribe(jid);
+        results.push({ number: jid.split('@')[0], subscribed: true, error: null });
+      } catch (error) {
+        results.push({ number: jid.split('@')[0], subscribed: false, error: error.message });
+      }
+    }
+
+    logger.info(`👀 Presence subscribed for ${results.filter(r => r.subscribed).length}/${numbers.length} contacts on ${accountId}`);
+    return results;
+  }
+
+  /**
+   * Show "typing..." / "recording audio..." in a chat, or clear it (paused)
+   * @param {string} state - composing, recording or paused
+   */
+  async sendChatPresence(accountId, number, state) {
+    const sock = this.getReadySocket(accountId);
+    const jid = this.formatPhoneNumber(number);
+
+    await sock.sendPresenceUpdate(state, jid);
+    return { number: jid.split('@')[0], state };
+  }
+
+  /**
+   * Block or unblock a contact on WhatsApp
+   * @param {string} action - block or unblock
+   */
+  async updateBlockStatus(accountId, number, action) {
+    const sock = this.getReadySocket(accountId);
+    const jid = this.formatPhoneNumber(number);
+
+    await sock.updateBlockStatus(jid, action);
+    const phone = getPhoneNumber(jid);
+    this.applyBlockStatus(accountId, phone, action === 'block', 'api');
+    return { number: phone, blocked: action === 'block' };
+  }
+
+  /**
+   * Blocklist straight from WhatsApp; refreshes the local copy used for incoming messages
+   * @returns {Promise<{ numbers: string[], count: number }>}
+   */
+  async getBlocklist(accountId) {
+    const sock = this.getReadySocket(accountId);
+    const numbers = await this.syncBlocklist(accountId, sock);
+    return { numbers, count: numbers.length };
+  }
+
+  async syncBlocklist(accountId, sock) {
+    const jids = await sock.fetchBlocklist();
+    const numbers = (jids || []).filter(Boolean).map(jid => getPhoneNumber(jid));
+    this.blocklists.set(accountId, new Set(numbers));
+    logger.debug(`[${accountId}] Blocklist synced: ${numbers.length} numbers`);
+    return numbers;
+  }
+
+  isBlocked(accountId, phone) {
+    return !!phone && !!this.blocklists.get(accountId)?.has(phone);
+  }
+
+  // Update the local blocklist and tell dashboards (source: api or whatsapp)
+  applyBlockStatus(accountId, phone, blocked, source) {
+    if (!phone) return;
+    if (!this.blocklists.has(accountId)) {
+      this.blocklists.set(accountId, new Set());
+    }
+
+    const list = this.blocklists.get(accountId);
+    if (blocked) list.add(phone);
+    else list.delete(phone);
+
+    logger.info(`${blocked ? '🚫 Blocked' : '✅ Unblocked'} ${phone} on ${accountId} (${source})`);
+    this.emitToAll(blocked ? 'contact_blocked' : 'contact_unblocked', { accountId, number: phone, blocked, source });
+  }
+
+  // ============================================================================
+  // CHAT STATE (read receipts, archive, pin, mute)
+  // ============================================================================
+
+  // Chat JID from a phone number, group ID or JID (group IDs are longer than any phone number)
+  formatChatJid(chatId) {
+    const value = String(chatId || '');
+    if (value.includes('@')) return value;
+    return value.includes('-') || value.replace(/\D/g, '').length > 15
+      ? this.formatGroupJid(value)
+      : this.formatPhoneNumber(value);
+  }
+
+  /**
+   * Key of an incoming message for a read receipt. The message store has the exact
+   * key (LID chats, group participant); older messages are rebuilt from message_logs.
+   * @param {object} message - { message_id, chat_id, sender, is_group }
+   */
+  buildReadKey(accountId, message) {
+    const cached = globalMessageStore.get(message.message_id);
+    if (cached && cached.accountId === accountId && cached.remoteJid && !cached.fromMe) {
+      return { remoteJid: cached.remoteJid, id: message.message_id, fromMe: false, participant: cached.participant };
+    }
+
+    return {
+      remoteJid: this.formatChatJid(message.chat_id),
+      id: message.message_id,
+      fromMe: false,
+      participant: message.is_group && message.sender ? `${message.sender}@s.whatsapp.net` : undefined
+    };
+  }
+
+  /**
+   * Send read receipts (blue ticks) and set read_at in message_logs
+   * @param {string[]|null} messageIds - Specific incoming messages; null = every unread message of the chat
+   * @returns {Promise<{ chat_id: string, read: string[], not_found: string[] }>}
+   */
+  async markChatRead(accountId, number, messageIds = null) {
+    const sock = this.getReadySocket(accountId);
+    const jid = this.formatChatJid(number);
+    const chatId = getPhoneNumber(jid);
+
+    let messages;
+    let notFound = [];
+    if (messageIds) {
+      const rows = await db.getMessageLogsByIds(accountId, messageIds);
+      const byId = new Map(rows.filter(row => row.direction === 'incoming' && row.chat_id === chatId).map(row => [row.message_id, row]));
+      // Messages missing from message_logs (logging off) still work while in the message store
+      messages = messageIds
+        .map(id => byId.get(id) || (globalMessageStore.get(id)?.accountId === accountId ? { message_id: id, chat_id: chatId } : null))
+        .filter(Boolean);
+      notFound = messageIds.filter(id => !messages.some(message => message.message_id === id));
+    } else {
+      messages = await db.getUnreadMessages(accountId, chatId);
+    }
+
+    if (messages.length) {
+      await sock.readMessages(messages.map(message => this.buildReadKey(accountId, message)));
+    }
+    await db.markMessagesRead(accountId, chatId, messageIds).catch(error => {
+      logger.warn(`[MessageLog] Failed to set read_at for ${chatId}: ${error.message}`);
+    });
 
-      const result = await sock.sendMessage(jid, messageContent);
+    logger.info(`👁️ Marked ${messages.length} messages read in ${chatId} for ${accountId}`);
+    return { chat_id: chatId, read: messages.map(message => message.message_id), not_found: notFound };
+  }
 
-      // Store in global store for retry support
-      // CRITICAL: Store result.message (the actual proto.IMessage), NOT messageContent (the input)
-      if (result?.key?.id && result.message) {
-        // L1: Memory cache
-        if (globalMessageStore.size >= MESSAGE_STORE_MAX_SIZE) {
-          const oldestKey = globalMessageStore.keys().next().value;
-          globalMessageStore.delete(oldestKey);
-        }
-        globalMessageStore.set(result.key.id, {
-          message: result.message,  // FIXED: Store proto.IMessage, not input
-          timestamp: Date.now(),
-          accountId
-        });
-        
-        logger.info(`[MsgStore] ✅ Memory: Stored media ${result.key.id?.slice(0, 15)}...`);
-        
-        // L2: Database persistence - AWAIT to ensure it's stored
-        try {
-          const dbStored = await db.storeMessage(accountId, result.key.id, result.message, 'out', jid);
-          if (dbStored) {
-            logger.info(`[MsgStore] ✅ Database: Stored media ${result.key.id?.slice(0, 15)}...`);
-          } else {
-            logger.warn(`[MsgStore] ⚠️ Database: Failed to store media ${result.key.id?.slice(0, 15)}... - retry may fail`);
-          }
-        } catch (e) {
-          logger.error(`[MsgStore] ❌ Database store error: ${e.message}`);
-        }
-      } else {
-        logger.warn(`[MsgStore] ⚠️ Could not store media message - missing key.id or message body`);
+  /**
+   * Archive/unarchive, pin/unpin, mute/unmute or mark a chat unread
+   * @param {string} action - archive, unarchive, pin, unpin, mute, unmute or unread
+   * @param {object} options - { duration_seconds } for mute
+   */
+  async modifyChat(accountId, number, action, options = {}) {
+    const sock = this.getReadySocket(accountId);
+    const jid = this.formatChatJid(number);
+    const chatId = getPhoneNumber(jid);
+
+    // Archive and unread need the chat's last message as the range they apply to
+    const lastMessages = async () => {
+      const [last] = await db.getChatMessages(accountId, chatId, 1).catch(() => []);
+      if (!last?.message_id || !last.timestamp) return [];
+      const fromMe = last.direction === 'outgoing';
+      return [{
+        key: {
+          ...(fromMe ? { remoteJid: jid, id: last.message_id } : this.buildReadKey(accountId, last)),
+          fromMe
+        },
+        messageTimestamp: last.timestamp
+      }];
+    };
+
+    let modification;
+    let state;
+    switch (action) {
+      case 'archive':
+      case 'unarchive':
+        modification = { archive: action === 'archive', lastMessages: await lastMessages() };
+        state = { archived: action === 'archive' };
+        break;
+      case 'pin':
+      case 'unpin':
+        modification = { pin: action === 'pin' };
+        state = { pinned: action === 'pin' };
+        break;
+      case 'mute': {
+        const mutedUntil = Date.now() + (options.duration_seconds || 8 * 60 * 60) * 1000;
+        modification = { mute: mutedUntil };
+        state = { muted: true, muted_until: new Date(mutedUntil).toISOString() };
+        break;
       }
+      case 'unmute':
+        modification = { mute: null };
+        state = { muted: false, muted_until: null };
+        break;
+      case 'unread':
+        modification = { markRead: false, lastMessages: await lastMessages() };
+        state = { unread: true };
+        break;
+      default:
+        throw new WhatsAppError(`Unknown chat action: ${action}`, 'INVALID_CHAT_ACTION', 400);
+    }
 
-      // Record message for rate limiting
-      rateLimiter.recordMessage(accountId);
+    await sock.chatModify(modification, jid);
+    logger.info(`💬 Chat ${chatId} ${action} for ${accountId}`);
+    return { chat_id: chatId, action, ...state };
+  }
 
-      this.metrics.messagesProcessed++;
+  /**
+   * Read receipt settings for an account (stored in whatsapp_accounts.metadata)
+   * @returns {Promise<{ auto_read: boolean }>}
+   */
+  async getReadSettings(accountId) {
+    const account = await db.getAccount(accountId);
+    if (!account) throw new Error('Account not found');
 
-      return {
-        success: true,
-        messageId: result.key?.id,
-        timestamp: Math.floor(Date.now() / 1000)
-      };
-    } catch (error) {
-      this.metrics.messagesFailed++;
-      throw error;
-    }
-    // Note: No gating needed - keys are saved atomically by createAtomicKeyStore
+    return { auto_read: !!account.metadata?.read_settings?.auto_read };
+  }
+
+  async updateReadSettings(accountId, updates) {
+    const account = await db.getAccount(accountId);
+    if (!account) throw new Error('Account not found');
+
+    const current = await this.getReadSettings(accountId);
+    const settings = { auto_read: updates.auto_read ?? current.auto_read };
+
+    await db.updateAccount(accountId, {
+      metadata: { ...(account.metadata || {}), read_settings: settings }
+    });
+
+    logger.info(`👁️ Read settings updated for ${accountId}: auto_read=${settings.auto_read}`);
+    return settings;
   }
 
   /**
-   * Send buttons as formatted text message with numbered options
-   * 
-   * NOTE: Native interactive buttons (nativeFlowMessage) DO NOT WORK on personal
-   * WhatsApp accounts connected via WhatsApp Web/Baileys. WhatsApp silently drops them.
-   * Only WhatsApp Business API accounts can send clickable buttons.
-   * 
-   * This implementation uses text-based numbered options which work universally.
+   * Mark an incoming message read when auto_read is on - called after a webhook
+   * delivery or chatbot reply for it succeeded
+   * @param {object} message - { message_id, chat_id, sender, is_group }
    */
-  async sendButtons(accountId, number, body, buttons, title = '', footer = '', media = null) {
-    logger.info(`[sendButtons] Called: accountId=${accountId}, number=${number}, body="${body?.slice(0,50)}...", buttons=${JSON.stringify(buttons)}`);
-    
-    const sock = this.clients.get(accountId);
-    if (!sock) {
-      logger.error(`[sendButtons] No socket found for account ${accountId}`);
-      throw new Error('Account not connected');
+  async autoMarkRead(accountId, message) {
+    const cacheKey = `${accountId}:${message.message_id}`;
+    if (autoReadCache.has(cacheKey)) return;
+    autoReadCache.set(cacheKey, true);
+
+    try {
+      const settings = await this.getReadSettings(accountId);
+      if (!settings.auto_read) return;
+
+      const sock = this.getReadySocket(accountId);
+      await sock.readMessages([this.buildReadKey(accountId, message)]);
+      await db.markMessagesRead(accountId, message.chat_id, [message.message_id]);
+      logger.debug(`👁️ Auto-read ${message.message_id?.slice(0, 15)}... from ${message.sender}`);
+    } catch (error) {
+      logger.warn(`Auto-read of ${message.message_id} failed: ${error.message}`);
     }
+  }
+
+  // ============================================================================
+  // GROUP MANAGEMENT
+  // ============================================================================
 
+  // Socket of a connected account - group operations need a live, ready session
+  getReadySocket(accountId) {
+    const sock = this.clients.get(accountId);
     const status = this.accountStatus.get(accountId);
-    logger.info(`[sendButtons] Account status: ${status}`);
-    if (status !== 'ready') {
-      logger.error(`[sendButtons] Account not ready: ${status}`);
-      throw new Error(`Client not ready: ${status}`);
+    if (!sock || status !== 'ready') {
+      throw new WhatsAppError(`Account is not ready (status: ${status || 'not connected'})`, 'ACCOUNT_NOT_READY', 503);
     }
+    return sock;
+  }
 
-    // Use the module-level rateLimiter
-    const delay = rateLimiter.getRequiredDelay(accountId);
-    if (delay > 0) {
-      logger.info(`[sendButtons] Rate limit delay: ${delay}ms`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+  // Accepts "120363...@g.us" or the bare group ID
+  formatGroupJid(groupId) {
+    const jid = String(groupId || '').includes('@') ? String(groupId) : `${groupId}@g.us`;
+    if (!/^[\d-]+@g\.us$/.test(jid)) {
+      throw new WhatsAppError(`Invalid group ID: ${groupId}`, 'INVALID_GROUP_ID', 400);
     }
+    return jid;
+  }
 
-    // Format phone number
-    const jid = number.includes('@') ? number : `${number.replace(/[^\d]/g, '')}@s.whatsapp.net`;
-    logger.info(`[sendButtons] Formatted JID: ${jid}`);
+  // Per-participant outcome of groupCreate / groupParticipantsUpdate
+  formatParticipantResults(results) {
+    return (results || []).map(result => {
+      const status = String(result.status || '200');
+      return {
+        participant: getPhoneNumber(result.jid),
+        jid: result.jid,
+        success: status === '200',
+        status: parseInt(status, 10),
+        error: status === '200' ? null : (GROUP_PARTICIPANT_ERRORS[status] || `Failed with status ${status}`)
+      };
+    });
+  }
 
-    // Build text message with numbered options
-    let messageText = '';
-    if (title) messageText += `*${title}*\n\n`;
-    messageText += body || '';
-    messageText += '\n\n';
-    
-    if (Array.isArray(buttons)) {
-      buttons.forEach((btn, i) => {
-        const buttonText = btn.body || btn.buttonText?.displayText || btn.text || btn.title || String(btn);
-        messageText += `${i + 1}. ${buttonText}\n`;
-      });
+  getCachedGroupMetadata(accountId, groupJid) {
+    const entry = this.groupCache.get(accountId)?.get(groupJid);
+    if (!entry || Date.now() - entry.fetchedAt > GROUP_METADATA_TTL) {
+      return null;
     }
-    
-    if (footer) messageText += `\n_${footer}_`;
-    messageText = messageText.trim();
+    return entry.metadata;
+  }
 
-    logger.info(`[sendButtons] Built message text (${messageText.length} chars):\n${messageText}`);
+  setCachedGroupMetadata(accountId, metadata) {
+    if (!metadata?.id) return;
+    if (!this.groupCache.has(accountId)) {
+      this.groupCache.set(accountId, new Map());
+    }
+    this.groupCache.get(accountId).set(metadata.id, { metadata, fetchedAt: Date.now() });
+  }
 
-    // If media is provided, send as media with caption
-    if (media && media.data) {
-      logger.info(`[sendButtons] Sending with media: ${media.mimetype}`);
-      const buffer = Buffer.from(media.data, 'base64');
-      const mimetype = media.mimetype || 'application/octet-stream';
-      
-      let messageContent;
-      if (mimetype.startsWith('image/')) {
-        messageContent = { image: buffer, caption: messageText };
-      } else if (mimetype.startsWith('video/')) {
-        messageContent = { video: buffer, caption: messageText };
-      } else {
-        messageContent = { document: buffer, mimetype, fileName: media.filename || 'file', caption: messageText };
-      }
-      
-      const result = await sock.sendMessage(jid, messageContent);
-      logger.info(`[sendButtons] ✅ Media message sent: ${result?.key?.id}`);
-      rateLimiter.recordMessage(accountId);
-      this.metrics.messagesProcessed++;
-      
-      return {
-        success: true,
-        messageId: result.key?.id,
-        timestamp: Math.floor(Date.now() / 1000),
-        type: 'media_with_options'
-      };
+  // Apply a membership change to the cached metadata instead of refetching the group
+  applyGroupParticipantsUpdate(accountId, groupJid, participants, action) {
+    const cached = this.getCachedGroupMetadata(accountId, groupJid);
+    if (!cached) return;
+
+    const changed = new Set(participants);
+    let list = cached.participants || [];
+
+    if (action === 'add') {
+      const existing = new Set(list.map(p => p.id));
+      list = list.concat(participants.filter(jid => !existing.has(jid)).map(jid => ({ id: jid, admin: null })));
+    } else if (action === 'remove') {
+      list = list.filter(p => !changed.has(p.id));
+    } else if (action === 'promote' || action === 'demote') {
+      list = list.map(p => changed.has(p.id) ? { ...p, admin: action === 'promote' ? 'admin' : null } : p);
+    } else {
+      // 'modify' (number change) - cheaper to drop the entry and refetch on next use
+      this.groupCache.get(accountId)?.delete(groupJid);
+      return;
     }
 
-    // No media - send as plain text
-    logger.info(`[sendButtons] Sending as plain text to ${jid}...`);
-    const result = await sock.sendMessage(jid, { text: messageText });
-    logger.info(`[sendButtons] ✅ Text message sent: ${result?.key?.id}`);
-    
-    rateLimiter.recordMessage(accountId);
-    
-    // Store for retry support
-    // CRITICAL: Store result.message (the actual proto.IMessage), NOT input
-    if (result?.key?.id && result.message) {
-      // L1: Memory cache
-      if (globalMessageStore.size >= MESSAGE_STORE_MAX_SIZE) {
-        const oldestKey = globalMessageStore.keys().next().value;
-        globalMessageStore.delete(oldestKey);
-      }
-      globalMessageStore.set(result.key.id, {
-        message: result.message,  // FIXED: Store proto.IMessage
-        timestamp: Date.now(),
-        accountId
-      });
-      
-      logger.info(`[MsgStore] ✅ Memory: Stored buttons message ${result.key.id?.slice(0, 15)}...`);
-      
-      // L2: Database persistence - AWAIT to ensure it's stored
-      try {
-        const dbStored = await db.storeMessage(accountId, result.key.id, result.message, 'out', jid);
-        if (dbStored) {
-          logger.info(`[MsgStore] ✅ Database: Stored buttons message ${result.key.id?.slice(0, 15)}...`);
-        } else {
-          logger.warn(`[MsgStore] ⚠️ Database: Failed to store buttons message - retry may fail`);
-        }
-      } catch (e) {
-        logger.error(`[MsgStore] ❌ Database store error: ${e.message}`);
+    this.setCachedGroupMetadata(accountId, { ...cached, participants: list, size: list.length });
+  }
+
+  /**
+   * Group metadata from cache, fetched from WhatsApp on a miss
+   * @param {object} options - { refresh: true } to bypass the cache
+   */
+  async getGroupMetadata(accountId, groupId, options = {}) {
+    const groupJid = this.formatGroupJid(groupId);
+
+    if (!options.refresh) {
+      const cached = this.getCachedGroupMetadata(accountId, groupJid);
+      if (cached) return cached;
+    }
+
+    const sock = this.getReadySocket(accountId);
+    let metadata;
+    try {
+      metadata = await sock.groupMetadata(groupJid);
+    } catch (error) {
+      // item-not-found / forbidden: unknown group or no longer a member
+      if (error?.data === 404 || error?.data === 403 || /item-not-found|forbidden/i.test(error?.message || '')) {
+        throw new WhatsAppError(`Group not found: ${groupJid}`, 'GROUP_NOT_FOUND', 404);
       }
+      throw error;
     }
-    
-    this.metrics.messagesProcessed++;
+
+    this.setCachedGroupMetadata(accountId, metadata);
+    return metadata;
+  }
+
+  formatGroup(metadata) {
+    const participants = (metadata.participants || []).map(p => ({
+      participant: getPhoneNumber(p.id),
+      jid: p.id,
+      admin: p.admin || null
+    }));
 
     return {
-      success: true,
-      messageId: result.key?.id,
-      timestamp: Math.floor(Date.now() / 1000),
-      type: 'text_options'
+      id: metadata.id,
+      subject: metadata.subject,
+      description: metadata.desc || null,
+      owner: metadata.owner ? getPhoneNumber(metadata.owner) : null,
+      creation: metadata.creation || null,
+      announcement: !!metadata.announce,
+      restrict: !!metadata.restrict,
+      size: metadata.size || participants.length,
+      participants
     };
   }
 
-  /**
-   * Send list as formatted text message with sections and numbered options
-   * 
-   * NOTE: Native interactive lists (nativeFlowMessage) DO NOT WORK on personal
-   * WhatsApp accounts connected via WhatsApp Web/Baileys. WhatsApp silently drops them.
-   * Only WhatsApp Business API accounts can send interactive lists.
-   * 
-   * This implementation uses text-based formatting which works universally.
-   */
-  async sendList(accountId, number, body, buttonText, sections, title = '', footer = '') {
-    const sock = this.clients.get(accountId);
-    if (!sock) throw new Error('Account not connected');
+  // Every group the account participates in - also warms the cache
+  async listGroups(accountId) {
+    const sock = this.getReadySocket(accountId);
+    const groups = Object.values(await sock.groupFetchAllParticipating());
 
-    // Use the module-level rateLimiter
-    const delay = rateLimiter.getRequiredDelay(accountId);
-    if (delay > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
+    for (const group of groups) {
+      this.setCachedGroupMetadata(accountId, group);
     }
 
-    // Format phone number
-    const jid = number.includes('@') ? number : `${number.replace(/[^\d]/g, '')}@s.whatsapp.net`;
+    return groups
+      .map(group => {
+        const { participants, ...summary } = this.formatGroup(group);
+        return { ...summary, admins: participants.filter(p => p.admin).map(p => p.participant) };
+      })
+      .sort((a, b) => (a.subject || '').localeCompare(b.subject || ''));
+  }
 
-    // Validate sections
-    if (!Array.isArray(sections) || sections.length === 0) {
-      throw new Error('List must have at least one section with rows');
+  async getGroup(accountId, groupId, options = {}) {
+    return this.formatGroup(await this.getGroupMetadata(accountId, groupId, options));
+  }
+
+  // Group context for incoming message payloads - never fails the message itself
+  async getGroupInfo(accountId, groupJid, senderPhone) {
+    try {
+      const group = this.formatGroup(await this.getGroupMetadata(accountId, groupJid));
+      const admins = group.participants.filter(p => p.admin).map(p => p.participant);
+      return {
+        id: group.id,
+        name: group.subject,
+        size: group.size,
+        participants: group.participants.map(p => p.participant),
+        admins,
+        sender_is_admin: admins.includes(senderPhone)
+      };
+    } catch (error) {
+      logger.warn(`Could not load metadata of group ${groupJid}: ${error.message}`);
+      return null;
     }
+  }
 
-    // Build text message with sections and numbered options
-    let messageText = '';
-    if (title) messageText += `*${title}*\n\n`;
-    messageText += body || '';
-    messageText += '\n';
-    
-    let optionNum = 1;
-    sections.forEach((section) => {
-      if (!Array.isArray(section.rows) || section.rows.length === 0) return;
-      
-      // Section header
-      if (section.title) {
-        messageText += `\n*${section.title}*\n`;
-      } else {
-        messageText += '\n';
-      }
-      
-      // Section rows as numbered options
-      section.rows.forEach((row) => {
-        const rowTitle = row.title || row;
-        if (!rowTitle) return;
-        
-        messageText += `${optionNum}. ${rowTitle}`;
-        if (row.description) {
-          messageText += ` - _${row.description}_`;
-        }
-        messageText += '\n';
-        optionNum++;
-      });
-    });
-    
-    if (footer) messageText += `\n_${footer}_`;
-    messageText = messageText.trim();
+  async createGroup(accountId, subject, participants) {
+    const sock = this.getReadySocket(accountId);
+    const participantJids = participants.map(number => this.formatPhoneNumber(number));
 
-    // Send as plain text
-    const result = await sock.sendMessage(jid, { text: messageText });
-    
-    rateLimiter.recordMessage(accountId);
-    
-    // Store for retry support
-    // CRITICAL: Store result.message (the actual proto.IMessage), NOT input
-    if (result?.key?.id && result.message) {
-      // L1: Memory cache
-      if (globalMessageStore.size >= MESSAGE_STORE_MAX_SIZE) {
-        const oldestKey = globalMessageStore.keys().next().value;
-        globalMessageStore.delete(oldestKey);
-      }
-      globalMessageStore.set(result.key.id, {
-        message: result.message,  // FIXED: Store proto.IMessage
-        timestamp: Date.now(),
-        accountId
-      });
-      
-      logger.info(`[MsgStore] ✅ Memory: Stored list message ${result.key.id?.slice(0, 15)}...`);
-      
-      // L2: Database persistence - AWAIT to ensure it's stored
-      try {
-        const dbStored = await db.storeMessage(accountId, result.key.id, result.message, 'out', jid);
-        if (dbStored) {
-          logger.info(`[MsgStore] ✅ Database: Stored list message ${result.key.id?.slice(0, 15)}...`);
-        } else {
-          logger.warn(`[MsgStore] ⚠️ Database: Failed to store list message - retry may fail`);
-        }
-      } catch (e) {
-        logger.error(`[MsgStore] ❌ Database store error: ${e.message}`);
-      }
-    }
-    
-    this.metrics.messagesProcessed++;
+    const metadata = await sock.groupCreate(subject, participantJids);
+    this.setCachedGroupMetadata(accountId, metadata);
+    logger.info(`👥 Group "${subject}" created for ${accountId}: ${metadata.id}`);
 
     return {
       success: true,
-      messageId: result.key?.id,
-      timestamp: Math.floor(Date.now() / 1000),
-      type: 'text_list'
+      id: metadata.id,
+      subject: metadata.subject,
+      owner: getPhoneNumber(metadata.owner),
+      creation: metadata.creation,
+      participants: (metadata.participants || []).map(p => ({
+        participant: getPhoneNumber(p.id),
+        jid: p.id,
+        admin: p.admin || null
+      }))
+    };
+  }
+
+  /**
+   * Add, remove, promote or demote participants
+   * Bulk updates can partially fail - every participant gets its own result
+   */
+  async updateGroupParticipants(accountId, groupId, participants, action) {
+    const sock = this.getReadySocket(accountId);
+    const groupJid = this.formatGroupJid(groupId);
+    const participantJids = participants.map(number => this.formatPhoneNumber(number));
+
+    const results = this.formatParticipantResults(
+      await sock.groupParticipantsUpdate(groupJid, participantJids, action)
+    );
+    const failed = results.filter(r => !r.success).length;
+
+    logger.info(`👥 Group ${groupJid} ${action}: ${results.length - failed}/${results.length} succeeded`);
+
+    return {
+      success: failed === 0,
+      group_id: groupJid,
+      action,
+      succeeded: results.length - failed,
+      failed,
+      results
     };
   }
 
+  async updateGroupSubject(accountId, groupId, subject) {
+    const sock = this.getReadySocket(accountId);
+    const groupJid = this.formatGroupJid(groupId);
+    await sock.groupUpdateSubject(groupJid, subject);
+    return { success: true, group_id: groupJid, subject };
+  }
+
+  async updateGroupDescription(accountId, groupId, description) {
+    const sock = this.getReadySocket(accountId);
+    const groupJid = this.formatGroupJid(groupId);
+    // An empty description removes it
+    await sock.groupUpdateDescription(groupJid, description || undefined);
+    return { success: true, group_id: groupJid, description: description || null };
+  }
+
+  async getGroupInviteLink(accountId, groupId) {
+    const sock = this.getReadySocket(accountId);
+    const groupJid = this.formatGroupJid(groupId);
+    const code = await sock.groupInviteCode(groupJid);
+    return { success: true, group_id: groupJid, code, invite_link: `https://chat.whatsapp.com/${code}` };
+  }
+
+  async revokeGroupInviteLink(accountId, groupId) {
+    const sock = this.getReadySocket(accountId);
+    const groupJid = this.formatGroupJid(groupId);
+    const code = await sock.groupRevokeInvite(groupJid);
+    logger.info(`👥 Invite link of ${groupJid} revoked`);
+    return { success: true, group_id: groupJid, code, invite_link: `https://chat.whatsapp.com/${code}` };
+  }
+
+  async leaveGroup(accountId, groupId) {
+    const sock = this.getReadySocket(accountId);
+    const groupJid = this.formatGroupJid(groupId);
+    await sock.groupLeave(groupJid);
+    logger.info(`👥 Account ${accountId} left group ${groupJid}`);
+    return { success: true, group_id: groupJid };
+  }
+
+  // Announcement mode: only admins can send messages
+  async setGroupAnnouncement(accountId, groupId, enabled) {
+    const sock = this.getReadySocket(accountId);
+    const groupJid = this.formatGroupJid(groupId);
+    await sock.groupSettingUpdate(groupJid, enabled ? 'announcement' : 'not_announcement');
+    return { success: true, group_id: groupJid, announcement: !!enabled };
+  }
+
   getQRCode(accountId) {
     return this.qrCodes.get(accountId);
   }
@@ -2036,11 +3954,11 @@ class WhatsAppManager {
             logger.info(`✅ ${account.name} has saved auth`);
           } else {
             accountsNeedingQR.push(account);
-            this.accountStatus.set(account.id, 'needs_qr');
+            this.setAccountStatus(account.id, 'needs_qr');
             logger.info(`⚠️ ${account.name} needs QR scan`);
           }
         } catch (err) {
-          this.accountStatus.set(account.id, 'error');
+          this.setAccountStatus(account.id, 'error', { reason: err.message });
           logger.error(`Error checking auth for ${account.id}: ${err.message}`);
         }
       }
@@ -2077,12 +3995,13 @@ class WhatsAppManager {
           
         } catch (err) {
           logger.error(`Startup connect failed for ${account.id}: ${err.message}`);
-          this.accountStatus.set(account.id, 'error');
-          
+
           // If auth restore failed, mark as needing QR
           if (err.message.includes('auth') || err.message.includes('creds')) {
             await db.clearSessionData(account.id);
-            this.accountStatus.set(account.id, 'needs_qr');
+            this.setAccountStatus(account.id, 'needs_qr', { state: 'auth_failed', reason: err.message });
+          } else {
+            this.setAccountStatus(account.id, 'error', { reason: err.message });
           }
         }
       }
@@ -2158,7 +4077,7 @@ class WhatsAppManager {
         updated_at: new Date().toISOString()
       }).catch(e => logger.debug(`DB update failed (non-critical): ${e.message}`));
 
-      this.accountStatus.set(account.id, 'disconnected');
+      this.setAccountStatus(account.id, 'disconnected', { reason: error.message });
       this.reconnecting.delete(account.id);
       throw error;
     }